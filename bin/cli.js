@@ -1,9 +1,10 @@
 #!/usr/bin/env node
-import { Command } from "commander";
+import { Command, InvalidArgumentError } from "commander";
 import { getPackageData } from "./utils/package.js";
 import { ToolHandler } from "@uniwebcms/dev-tools";
 import chalk from "chalk";
 import { table } from "table";
+import { lintContent } from "./handlers/index.js";
 
 try {
   const packageData = await getPackageData();
@@ -18,12 +19,41 @@ try {
   const program = new Command();
   const toolHandler = new ToolHandler();
   toolHandler.registerCommands(program, info, { chalk, table });
+
+  program
+    .command("lint [site]")
+    .description("Check the content of a site for problems")
+    .option(
+      "-f, --format <format>",
+      "Output format: text, json or sarif",
+      "text"
+    )
+    .option(
+      "-c, --config <file>",
+      "Lint config file (default: <site>/lint.yml)"
+    )
+    .option("-o, --output <file>", "Write the report to a file")
+    .option(
+      "--max-warnings <number>",
+      "Fail when there are more warnings than this",
+      parseCount
+    )
+    .option("-v, --verbose", "Show error stacks", false)
+    .action(lintContent);
+
   program.parse(); // Run the CLI
 } catch (error) {
   console.error("Fatal error:", error);
   process.exit(1);
 }
 
+function parseCount(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new InvalidArgumentError("Not a whole number.");
+  }
+  return Number(value);
+}
+
 // async function setupCLI() {
 //   const packageData = await getPackageData();
 //   const program = new Command();
@@ -3,6 +3,10 @@ import { Command } from "commander";
 import { writeFile, mkdir } from "node:fs/promises";
 import { join, resolve, dirname, extname } from "node:path";
 import { createCollector } from "../src/setup.js";
+import {
+  CollectionError,
+  formatDiagnostic,
+} from "../src/core/diagnostics.js";
 
 export async function createCLI() {
   const program = new Command();
@@ -20,8 +24,25 @@ export async function createCLI() {
       "Require numeric prefixes for section files",
       false
     )
+    .option("--strict", "Fail when any content error is collected", false)
+    .option("--preset <name>", "Built-in plugin preset to use", "default")
+    .option(
+      "--concurrency <number>",
+      "Maximum number of files read in parallel",
+      (value) => parseInt(value, 10)
+    )
+    .option("--drafts", "Include draft content")
+    .option(
+      "--now <date>",
+      "Date to evaluate publishAt and expireAt at (default: current time)"
+    )
+    .option("--search-index", "Emit a search index beside the output")
     .option("--no-data-loader", "Disable data loader plugin")
     .option("--no-image-meta", "Disable image metadata plugin")
+    .option(
+      "--responsive-images",
+      "Resize content images and emit the variants beside the output"
+    )
     .action(async (source, output, options) => {
       try {
         const sourcePath = resolve(source);
@@ -30,8 +51,20 @@ export async function createCLI() {
         // Configure collector based on CLI options
         const config = {
           requireNumericPrefix: options.requirePrefix,
-          dataLoader: options.dataLoader !== false && {},
-          imageMeta: options.imageMeta !== false && {},
+          strict: options.strict,
+          preset: options.preset,
+          concurrency: options.concurrency,
+          drafts: options.drafts,
+          now: options.now,
+          // Undefined keeps the preset's choice, false disables the plugin
+          dataLoader: options.dataLoader === false ? false : undefined,
+          imageMeta:
+            options.imageMeta === false
+              ? false
+              : options.responsiveImages
+              ? { responsive: true }
+              : undefined,
+          searchIndex: options.searchIndex ? {} : undefined,
           plugins: [],
         };
 
@@ -67,13 +100,32 @@ export async function createCLI() {
 
         await writeFile(outputFilePath, jsonString, "utf8");
 
+        // Files emitted by plugins, such as the search index
+        for (const [name, source] of collector.assets) {
+          const assetPath = join(dirname(outputFilePath), name);
+          await mkdir(dirname(assetPath), { recursive: true });
+          await writeFile(assetPath, source);
+        }
+
+        // Errors and warnings are always reported, notes only when verbose
+        for (const diagnostic of content.diagnostics) {
+          if (diagnostic.severity !== "info" || options.verbose) {
+            console.warn(formatDiagnostic(diagnostic));
+          }
+        }
+
         if (options.verbose) {
           console.log("Content written to:", outputFilePath);
-          if (content.errors?.length > 0) {
-            console.warn("Errors encountered:", content.errors);
+          if (content.nextScheduledChange) {
+            console.log("Next scheduled change:", content.nextScheduledChange);
           }
         }
       } catch (error) {
+        if (error instanceof CollectionError) {
+          for (const diagnostic of error.diagnostics) {
+            console.warn(formatDiagnostic(diagnostic));
+          }
+        }
         console.error("Error:", error.message);
         if (options.verbose) {
           console.error(error.stack);
@@ -3,6 +3,7 @@ import { createSiteHandler } from "./create/site.js";
 import { createModuleHandler } from "./create/module.js";
 import { createComponentHandler } from "./create/component.js";
 import { useModuleHandler } from "./use/module.js";
+import { lintContentHandler } from "./lint/content.js";
 // import { collectContentHandler } from "./collect/content.js";
 // import { buildSiteHandler } from "./build/site.js";
 // import { buildModuleHandler } from "./build/module.js";
@@ -67,6 +68,19 @@ export const collectContent = async (options) => {
   }
 };
 
+// Lint command
+export const lintContent = async (site, options) => {
+  try {
+    await lintContentHandler(site, options);
+  } catch (error) {
+    console.error("Error linting content:", error.message);
+    if (options.verbose) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+};
+
 // Build commands
 export const buildSite = async (options) => {
   try {
@@ -0,0 +1,41 @@
+// src/handlers/lint/content.js
+import path from "node:path";
+import fs from "node:fs/promises";
+import chalk from "chalk";
+import {
+  lintSite,
+  formatText,
+  formatJson,
+  formatSarif,
+} from "../../../src/lint/index.js";
+import { logger } from "../../utils/logger.js";
+
+const FORMATTERS = { text: formatText, json: formatJson, sarif: formatSarif };
+
+export async function lintContentHandler(site, options = {}) {
+  const { format = "text", config, output, maxWarnings } = options;
+
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unknown format "${format}", use text, json or sarif`);
+  }
+
+  const sitePath = path.resolve(site ?? process.cwd());
+  const result = await lintSite(sitePath, { config });
+  const report = formatter(result);
+
+  if (output) {
+    await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+    await fs.writeFile(output, report, "utf8");
+    logger.info(`Lint report written to ${chalk.cyan(output)}`);
+  } else {
+    process.stdout.write(report);
+  }
+
+  // Errors fail the command, and so do warnings beyond --max-warnings
+  const tooManyWarnings =
+    maxWarnings !== undefined && result.warningCount > maxWarnings;
+  if (result.errorCount > 0 || tooManyWarnings) process.exitCode = 1;
+
+  return result;
+}
@@ -1,7 +1,9 @@
 /**
  * Custom plugins to extend functionality. Can be instances
  * of CollectorPlugin for content processing or webpack plugins
- * for build customization.
+ * for build customization. Collector plugins can also be listed
+ * by package name or path, optionally with their options, and
+ * are then loaded without an import.
  *
  * * @example
  * import { ImageOptimizerPlugin } from './plugins/image-optimizer';
@@ -9,7 +11,9 @@
  *
  * export const plugins = [
  *   new ImageOptimizerPlugin({ quality: 80 }),  // CollectorPlugin for image processing
- *   new CustomWebpackPlugin()                   // Standard webpack plugin
+ *   new CustomWebpackPlugin(),                  // Standard webpack plugin
+ *   "@acme/collector-reading-time",             // CollectorPlugin by package name
+ *   ["./plugins/glossary.js", { name: "glossary" }] // Local CollectorPlugin with options
  * ];
  */
 export const plugins = [];
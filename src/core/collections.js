@@ -0,0 +1,247 @@
+// src/core/collections.js
+import { findNode, getText, truncate } from "./utils.js";
+
+const DEFAULT_PER_PAGE = 10;
+const DEFAULT_TAXONOMIES = ["tags", "categories"];
+
+// Image sources the client can load: site paths, emitted assets and web
+// URLs. Others are relative to the section file.
+const SITE_URL = /^(?:\/|https?:)/i;
+
+/**
+ * Turns a page whose page.yml declares a `collection` into a listing of its
+ * subpages:
+ *
+ *   collection:
+ *     sort: date        # Summary or page.yml field to sort by
+ *     order: desc       # Default for dates, "asc" otherwise
+ *     perPage: 10
+ *     taxonomies: [tags, categories]
+ *
+ * The page gets a `listing` with the summaries of its first page of items.
+ * The returned pages hold the other pages of items (`/news/page/2`), and
+ * one listing per taxonomy term (`/news/tags/react`, paginated the same
+ * way), along with an index of each taxonomy's terms (`/news/tags`).
+ * Generated pages have no sections of their own: their `parent` is the
+ * route of the collection page, whose sections they are rendered with.
+ *
+ * @param {Object} page - Collected page, with its subpages
+ * @returns {Object[]} Generated pages, to add to the page's subpages
+ */
+export function buildCollection(page) {
+  const config = getCollectionConfig(page);
+  const perPage = Math.max(1, Number(config.perPage) || DEFAULT_PER_PAGE);
+  const taxonomies = config.taxonomies ?? DEFAULT_TAXONOMIES;
+  const items = getCollectionItems(page);
+
+  const base = {
+    title: page.title,
+    parent: page.route,
+    sections: [],
+    hideInMenu: true,
+    generated: true,
+  };
+
+  const [first, ...rest] = paginate(items, perPage, page.route);
+  page.listing = first;
+
+  const generated = rest.map((listing) => ({
+    ...base,
+    route: listing.route,
+    listing,
+  }));
+
+  for (const taxonomy of taxonomies) {
+    const terms = groupByTerm(items, taxonomy);
+    const indexRoute = `${trimRoute(page.route)}/${taxonomy}`;
+
+    generated.push({
+      ...base,
+      route: indexRoute,
+      taxonomy: {
+        name: taxonomy,
+        terms: terms.map(({ term, slug, items }) => ({
+          term,
+          slug,
+          count: items.length,
+          route: `${indexRoute}/${slug}`,
+        })),
+      },
+    });
+
+    for (const { term, slug, items: tagged } of terms) {
+      for (const listing of paginate(
+        tagged,
+        perPage,
+        `${indexRoute}/${slug}`
+      )) {
+        generated.push({
+          ...base,
+          route: listing.route,
+          taxonomy: { name: taxonomy, term, slug },
+          listing,
+        });
+      }
+    }
+  }
+
+  return generated;
+}
+
+/**
+ * Returns the summaries of the items of a collection page, in collection
+ * order. Generated listing pages are not items.
+ *
+ * @param {Object} page - Collected page, with its subpages
+ * @returns {Object[]}
+ */
+export function getCollectionItems(page) {
+  const config = getCollectionConfig(page);
+  const taxonomies = config.taxonomies ?? DEFAULT_TAXONOMIES;
+
+  return sortItems(
+    (page.subpages ?? [])
+      .filter((child) => !child.generated)
+      .map((child) => summarize(child, taxonomies)),
+    config
+  );
+}
+
+/**
+ * Returns the summary of a collection item: its route, title, date,
+ * excerpt, first image with a site or web URL, and taxonomy terms.
+ * Page.yml fields win over what is found in the sections.
+ */
+export function summarize(page, taxonomies = DEFAULT_TAXONOMIES) {
+  const sections = flattenSections(page.sections ?? []);
+  const firstParams = sections[0]?.params ?? {};
+  const textOf = (node) => getText(node).trim() || undefined;
+
+  const summary = {
+    route: page.route,
+    title:
+      page.title ??
+      firstParams.title ??
+      findNode(page.sections ?? [], (node) => node.type === "heading", textOf),
+    date: page.date ?? firstParams.date,
+    excerpt:
+      page.excerpt ??
+      page.description ??
+      truncate(
+        findNode(
+          page.sections ?? [],
+          (node) => node.type === "paragraph",
+          textOf
+        ) ?? ""
+      ),
+    image:
+      page.image ??
+      findNode(
+        page.sections ?? [],
+        (node) => node.type === "image",
+        ({ attrs }) => (SITE_URL.test(attrs?.src ?? "") ? attrs.src : undefined)
+      ),
+  };
+
+  for (const taxonomy of taxonomies) {
+    const terms = new Set(toList(page[taxonomy]));
+    for (const section of sections) {
+      for (const term of toList(section.params?.[taxonomy])) terms.add(term);
+    }
+    summary[taxonomy] = [...terms];
+  }
+
+  for (const key of Object.keys(summary)) {
+    if (summary[key] === undefined || summary[key] === "") delete summary[key];
+  }
+
+  return summary;
+}
+
+export function slugify(term) {
+  return String(term)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+function getCollectionConfig(page) {
+  return typeof page.collection === "object" && page.collection !== null
+    ? page.collection
+    : {};
+}
+
+function sortItems(items, { sort, order } = {}) {
+  if (!sort) return items;
+
+  const direction = (order ?? (sort === "date" ? "desc" : "asc")) === "desc";
+  const value = (item) =>
+    sort === "date" && item.date ? new Date(item.date).getTime() : item[sort];
+
+  // Items without the field come last, in their original order
+  return [...items].sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (x === undefined || y === undefined) {
+      return (x === undefined) - (y === undefined);
+    }
+    const diff =
+      typeof x === "number" && typeof y === "number"
+        ? x - y
+        : String(x).localeCompare(String(y), undefined, { numeric: true });
+    return direction ? -diff : diff;
+  });
+}
+
+function paginate(items, perPage, route) {
+  const root = trimRoute(route);
+  const pages = Math.max(1, Math.ceil(items.length / perPage));
+  const routeOf = (n) => (n === 1 ? route : `${root}/page/${n}`);
+
+  return Array.from({ length: pages }, (_, i) => {
+    const n = i + 1;
+    return {
+      route: routeOf(n),
+      page: n,
+      pages,
+      total: items.length,
+      items: items.slice(i * perPage, n * perPage),
+      ...(n > 1 && { prev: routeOf(n - 1) }),
+      ...(n < pages && { next: routeOf(n + 1) }),
+    };
+  });
+}
+
+function groupByTerm(items, taxonomy) {
+  const groups = new Map();
+
+  for (const item of items) {
+    for (const term of item[taxonomy] ?? []) {
+      const slug = slugify(term);
+      if (!slug) continue;
+      if (!groups.has(slug)) groups.set(slug, { term, slug, items: [] });
+      groups.get(slug).items.push(item);
+    }
+  }
+
+  return [...groups.values()].sort((a, b) => a.slug.localeCompare(b.slug));
+}
+
+// "/" is the home route, under which generated routes start with "/"
+function trimRoute(route) {
+  return route === "/" ? "" : route;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+function flattenSections(sections) {
+  return sections.flatMap((section) => [
+    section,
+    ...flattenSections(section.subsections ?? []),
+  ]);
+}
@@ -1,80 +1,225 @@
 // src/core/collector.js
 import { readFile, readdir, stat } from "node:fs/promises";
-import { join, parse } from "node:path";
-import yaml from "js-yaml";
+import { join, parse, relative } from "node:path";
 import { markdownToProseMirror } from "@uniwebcms/content-reader";
 import { Project, Site, Page, Section } from "@uniwebcms/dev-tools";
 import { PluginRegistry } from "./plugin.js";
+import { FileCache } from "./file-cache.js";
+import { parseFrontMatter } from "./front-matter.js";
+import { buildNavigation } from "./navigation.js";
+import {
+  PAGE_KEY,
+  getLocales,
+  selectSectionFiles,
+  localizeFilename,
+  localizeRoute,
+  addAlternates,
+} from "./locales.js";
+import { Diagnostics, CollectionError, CODES } from "./diagnostics.js";
+import { Schedule } from "./schedule.js";
+import {
+  SHARED_FOLDER,
+  toIncludeList,
+  getSnippetPath,
+  expandDirectives,
+} from "./includes.js";
 import {
   readYamlFile,
   isMarkdownFile,
   parseNumericPrefix,
   compareFilenames,
   createError,
+  createLimiter,
+  getPageOrder,
+  comparePages,
+  stripNumericPrefixes,
+  mergeConfig,
 } from "./utils.js";
+import { mergeSections, omitTemplateFields } from "./templates.js";
+import { buildCollection } from "./collections.js";
+import { addMeta } from "./meta.js";
+
+/**
+ * Marks each collected page with its folder, and each section with its
+ * file, for tools that report problems in the content, such as the linter.
+ * Symbols are not serialized, so the output JSON is unchanged.
+ */
+export const SOURCE = Symbol("source");
+
+// Upper bound of file operations in flight, to avoid running out of file
+// descriptors on wide trees
+const DEFAULT_CONCURRENCY = 32;
 
 export class ContentCollector {
   #plugins;
   #context;
+  #fileCache;
+  #limit;
+  #sharedPath;
+  #assets = new Map();
 
   constructor(config = {}) {
     this.#plugins = new PluginRegistry();
+
+    // Pages, subpages and sections are processed in parallel, while their
+    // file reads share this limit (set with the `concurrency` option)
+    this.#limit = createLimiter(config.concurrency ?? DEFAULT_CONCURRENCY);
+
+    // Parsed files are kept between runs so that a re-collect only
+    // re-processes what changed on disk. Use `cache: false` to opt out.
+    const cacheOptions = typeof config.cache === "object" ? config.cache : {};
+    this.#fileCache = new FileCache({
+      enabled: config.cache !== false,
+      ...cacheOptions,
+    });
+
     this.#context = {
       config,
       environment: process.env.NODE_ENV,
-      errors: [],
+      diagnostics: new Diagnostics(),
       cache: new Map(),
+      fileCache: this.#fileCache,
+      schedule: null,
       currentFile: null,
       resourcePath: null,
+      // Lets plugins output files beside the site content, e.g. an index
+      emitAsset: (filename, source) => this.#emitAsset(filename, source),
     };
   }
 
+  /**
+   * Files emitted by plugins during the last collect, by file name. Hosts
+   * write them beside the site content.
+   * @returns {Map<string, string|Buffer>}
+   */
+  get assets() {
+    return new Map(this.#assets);
+  }
+
   use(plugin, dependencies = []) {
     this.#plugins.register(plugin, dependencies);
     return this;
   }
 
+  /**
+   * Forgets cached results built from the given file, so that the next
+   * collect re-processes it even if its mtime did not change.
+   * @param {string} [path] - Absolute file path. Clears everything if omitted.
+   */
+  invalidate(path) {
+    if (path) this.#fileCache.invalidate(path);
+    else this.#fileCache.clear();
+    return this;
+  }
+
   async collect(rootPath) {
     this.#context.resourcePath = rootPath;
+    this.#context.diagnostics.clear();
+    this.#assets.clear();
+
+    // Drafts are previewed in development only, unless set with `drafts`
+    const { now, drafts } = this.#context.config;
+    this.#context.schedule = new Schedule({
+      now,
+      drafts: drafts ?? this.#context.environment === "development",
+      diagnostics: this.#context.diagnostics,
+    });
+
+    let output;
 
     try {
       await this.#runHooks("beforeCollect");
-      const output = await this.#processRoot(rootPath);
-      await this.#runHooks("afterCollect");
-
-      if (this.#context.environment === "development") {
-        output.errors = this.#context.errors;
-      }
+      output = await this.#processRoot(rootPath);
+      output = await this.#transformOutput(output);
+      await this.#runHooks("afterCollect", output);
 
-      return output;
+      // Forget the files that were deleted or are no longer collected
+      this.#fileCache.prune();
+      output.diagnostics = this.#context.diagnostics.toJSON();
     } catch (error) {
-      this.#context.errors.push({
-        phase: "collection",
-        message: error.message,
-        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      this.#context.diagnostics.fromError(error, {
+        code: CODES.COLLECTION_FAILED,
       });
+      error.diagnostics = this.#context.diagnostics.toJSON();
       throw error;
     }
+
+    // In strict mode, content that failed to process must not be silently
+    // dropped from the output
+    if (this.#context.config.strict && this.#context.diagnostics.hasErrors()) {
+      throw new CollectionError(output.diagnostics);
+    }
+
+    return output;
+  }
+
+  #emitAsset(filename, source) {
+    if (
+      typeof filename !== "string" ||
+      !filename ||
+      filename.startsWith("/") ||
+      filename.split("/").includes("..")
+    ) {
+      throw new Error(`Invalid asset file name: ${filename}`);
+    }
+
+    if (typeof source !== "string" && !Buffer.isBuffer(source)) {
+      throw new TypeError(`Asset ${filename} must be a string or a Buffer`);
+    }
+
+    this.#assets.set(filename, source);
   }
 
-  async #runHooks(hookName) {
+  async #runHooks(hookName, ...args) {
     const plugins = this.#plugins.getOrderedPlugins();
     for (const plugin of plugins) {
       if (typeof plugin[hookName] === "function") {
-        await plugin[hookName](this.#context);
+        await plugin[hookName](this.#context, ...args);
       }
     }
   }
 
+  /**
+   * Passes a value through the given hook of every plugin, in dependency
+   * order. A hook may return a new value, `undefined` to keep the current
+   * one, or `null` to drop it (in which case `null` is returned).
+   */
+  async #applyTransforms(hookName, value, context) {
+    for (const plugin of this.#plugins.getOrderedPlugins()) {
+      if (typeof plugin[hookName] !== "function") continue;
+
+      const result = await plugin[hookName](value, context);
+      if (result === null) return null;
+      if (result !== undefined) value = result;
+    }
+
+    return value;
+  }
+
+  async #transformOutput(output) {
+    const result = await this.#applyTransforms(
+      "transform",
+      output,
+      this.#context
+    );
+
+    if (!result) {
+      throw createError("A transform() hook must return the output object");
+    }
+
+    return result;
+  }
+
   async #processRoot(rootPath) {
     const project = new Project(rootPath);
     const site = new Site("/", project);
     // const siteConfig = await readYamlFile(join(rootPath, "site.yml"));
     // const themeConfig = await readYamlFile(join(rootPath, "theme.yml"));
     // const contentPath = join(rootPath, "pages"); // get relative contentPath instead?
-    const siteConfig = await site.loadConfig();
-    const themeConfig = await site.loadTheme();
+    const siteConfig = await this.#limit(() => site.loadConfig());
+    const themeConfig = await this.#limit(() => site.loadTheme());
     const contentPath = site.pagesDir;
+    this.#sharedPath = join(contentPath, SHARED_FOLDER);
 
     const output = {
       pages: [],
@@ -83,59 +228,270 @@ export class ContentCollector {
     };
 
     // Read directory entries
-    const entries = await readdir(contentPath).catch((err) => {
+    const entries = await this.#readDir(contentPath).catch((err) => {
       if (err.code === "ENOENT") return [];
       throw err;
     });
 
-    const specials = ["header", "footer", "left", "right"];
+    // Folders named after another declared locale hold that locale's tree,
+    // and the snippet library is not a page
+    const { defaultLocale, locales } = getLocales(siteConfig);
+    const folders = entries.filter(isDirectoryLike);
+    const pageFolders = folders.filter(
+      ({ name }) => name !== SHARED_FOLDER && !locales.slice(1).includes(name)
+    );
+
+    Object.assign(
+      output,
+      await this.#collectPages(site, pageFolders, {
+        code: defaultLocale,
+        locales,
+        base: "",
+        routePrefix: "",
+      })
+    );
+
+    // Menus, breadcrumbs and prev/next links (disable with `navigation: false`)
+    const withNavigation = this.#context.config.navigation !== false;
+    if (withNavigation) output.navigation = buildNavigation(output.pages);
+
+    // Titles, descriptions and canonical URLs (disable with `meta: false`)
+    const withMeta = this.#context.config.meta !== false;
+    const metaOptions = {
+      baseUrl: this.#context.config.baseUrl ?? siteConfig?.url,
+      diagnostics: this.#context.diagnostics,
+    };
+    if (withMeta) {
+      addMeta(output.pages, siteConfig ?? {}, {
+        ...metaOptions,
+        locale: defaultLocale,
+      });
+    }
+
+    if (locales.length > 1) {
+      output.locale = defaultLocale;
+      output.locales = locales;
+      output.translations = {};
+
+      for (const locale of locales.slice(1)) {
+        const translation = await this.#collectTranslation(
+          site,
+          pageFolders,
+          folders.some(({ name }) => name === locale) &&
+            join(contentPath, locale),
+          { code: locale, locales }
+        );
+
+        if (withMeta) {
+          addMeta(translation.pages, siteConfig ?? {}, {
+            ...metaOptions,
+            locale,
+          });
+        }
+
+        if (withNavigation) {
+          translation.navigation = buildNavigation(translation.pages, {
+            homeRoute: localizeRoute("/", locale),
+          });
+        }
+
+        output.translations[locale] = translation;
+      }
+
+      addAlternates({
+        [defaultLocale]: output.pages,
+        ...Object.fromEntries(
+          Object.entries(output.translations).map(([locale, { pages }]) => [
+            locale,
+            pages,
+          ])
+        ),
+      });
+    }
+
+    // Lets a host rebuild when scheduled content is published or expires
+    output.nextScheduledChange =
+      this.#context.schedule.nextChange?.toISOString() ?? null;
+
+    return output;
+  }
+
+  /**
+   * Collects the pages of a non-default locale. Pages of the locale's own
+   * tree (`pages/<locale>/`) are used as they are, and every other page is
+   * collected from the default tree, with locale-suffixed section files
+   * replacing the default ones where they exist.
+   */
+  async #collectTranslation(site, pageFolders, treePath, locale) {
+    const translation = await this.#collectPages(site, pageFolders, {
+      ...locale,
+      base: "",
+      routePrefix: `/${locale.code}`,
+    });
+
+    if (!treePath) return translation;
+
+    const treeFolders = (await this.#readDir(treePath)).filter(isDirectoryLike);
+    const tree = await this.#collectPages(site, treeFolders, {
+      ...locale,
+      base: `${locale.code}/`,
+      routePrefix: `/${locale.code}`,
+    });
+
+    // Pages of the tree replace their fallbacks in place, and new pages are
+    // added after them
+    const treePages = new Map(tree.pages.map((page) => [page[PAGE_KEY], page]));
+    const pages = translation.pages.map((page) => {
+      const replacement = treePages.get(page[PAGE_KEY]);
+      treePages.delete(page[PAGE_KEY]);
+      return replacement ?? page;
+    });
+
+    return {
+      ...translation,
+      ...tree,
+      pages: [...pages, ...treePages.values()],
+    };
+  }
 
-    // Process each directory as a potential page
-    await Promise.all(
-      entries.map(async (entry) => {
-        // const path = join(contentPath, entry);
-        // const isDir = await stat(path).then((stats) => stats.isDirectory());
-        // if (!isDir) return;
+  /**
+   * Processes the given page folders in parallel, and returns the pages in
+   * order along with the special pages (header, footer, left and right).
+   */
+  async #collectPages(site, folders, locale) {
+    const output = { pages: [] };
+    const specials = ["header", "footer", "left", "right"];
 
+    const pages = await Promise.all(
+      folders.map(async ({ name: entry }) => {
+        const relPath = locale.base + entry;
         try {
-          // const config = await page.loadConfig();
-          // const page = await this.#processPage(path, entry);
-          const page = await this.#processPage(entry, site);
-          if (!page) return;
-
-          const suffix = page.route.startsWith("/@") && page.route.slice(2);
-          if (suffix && specials.includes(suffix)) output[suffix] = page;
-          else output.pages.push(page);
+          return await this.#processPage(relPath, site, locale);
         } catch (err) {
-          console.log("PAGE PROCESS ERROR", err.message);
-          this.#context.errors.push({
-            page: entry,
-            message: err.message,
-            stack:
-              process.env.NODE_ENV === "development" ? err.stack : undefined,
+          this.#context.diagnostics.fromError(err, {
+            code: CODES.PAGE_FAILED,
+            page: relPath,
           });
+          return null;
         }
       })
     );
 
+    for (const page of sortPages(folders, pages)) {
+      // Routes of translated pages start with their locale
+      const route = page.route.slice(locale.routePrefix.length);
+      const suffix = route.startsWith("/@") && route.slice(2);
+      if (suffix && specials.includes(suffix)) output[suffix] = page;
+      else output.pages.push(page);
+    }
+
     return output;
   }
 
-  async #processPage(relPagePath, site) {
+  async #processPage(relPagePath, site, locale) {
     const page = new Page(relPagePath, site);
 
-    if (!(await page.exists())) return null;
+    if (!(await this.#limit(() => page.exists()))) return null;
+
+    // Every cached result of the page depends on its page.yml
+    const configPath = join(page.dirPath, "page.yml");
+
+    let {
+      sections: sectionFiles,
+      extends: template,
+      hidden,
+      draft,
+      publishAt,
+      expireAt,
+      ...pageMetadata
+    } = await this.#loadPageConfig(page, configPath, locale);
+
+    if (hidden && !this.#context.config.analyze) return null;
+
+    const schedule = { draft, publishAt, expireAt };
+    if (!this.#isPublished(schedule, { file: configPath })) return null;
+
+    // Read once, for both the section files and the subpage folders
+    const entries = await this.#readDir(page.dirPath);
+    let sections = await this.#processSections(
+      page,
+      entries,
+      sectionFiles,
+      configPath,
+      locale
+    );
 
-    this.#context.currentFile = page.dirPath;
+    // Sections and metadata inherited from a template page
+    if (template) {
+      const base = await this.#loadTemplate(template, page, locale, [
+        page.dirPath,
+      ]);
+      pageMetadata = mergeConfig(base.metadata, pageMetadata);
+      sections = mergeSections(base.sections, sections);
+    }
+
+    // console.log({ sections });
+
+    // Filter out null sections and build hierarchy
+    // const validSections = sections.filter(Boolean);
+    // const hierarchy = this.#buildSectionHierarchy(validSections);
+
+    // Check for subpages
+    const subpages = await this.#processSubpages(page, entries, locale);
 
-    let { sections, hidden, ...pageMetadata } = await page.loadConfig();
+    // Routes are relative to the locale's tree, in which "home" is the root.
+    // Folder prefixes only set the order, e.g. "2-team" is routed as "team"
+    const path = relPagePath.slice(locale.base.length);
+    const route = "/" + stripNumericPrefixes(path === "home" ? "" : path);
+
+    const output = {
+      route: locale.routePrefix ? localizeRoute(route, locale.code) : route,
+      lastModified: await this.#getLastModified(page.dirPath, entries),
+      // Only kept when drafts are previewed, so that they are not published
+      ...(draft && { draft: true }),
+      ...(hidden && { hidden: true }),
+      ...pageMetadata,
+      sections,
+      // sections: hierarchy,
+      ...(subpages.length > 0 && { subpages }),
+      [PAGE_KEY]: stripNumericPrefixes(relPagePath.slice(locale.base.length)),
+      [SOURCE]: page.dirPath,
+    };
+
+    // Listing, pagination and taxonomy pages of a collection page
+    if (output.collection) {
+      const generated = buildCollection(output);
+      for (const child of generated) {
+        const path = child.route.slice(output.route.length).replace(/^\//, "");
+        child[PAGE_KEY] = `${output[PAGE_KEY]}/${path}`;
+      }
+      output.subpages = [...(output.subpages ?? []), ...generated];
+    }
+
+    return this.#applyTransforms("transformPage", output, {
+      ...this.#context,
+      currentFile: page.dirPath,
+      currentPage: page.dirPath,
+    });
+  }
 
-    if (hidden) return null;
-    // const files = await readdir(page.dirPath); //pagePath
+  /**
+   * Processes the section files of a page, given by the `sections` list of
+   * its page.yml or else found in its folder.
+   */
+  async #processSections(page, entries, sections, configPath, locale) {
+    const files = entries
+      .filter((entry) => !entry.isDirectory() && isMarkdownFile(entry.name))
+      .map((entry) => entry.name);
 
     if (!sections || !Array.isArray(sections) || !sections.length) {
-      const files = await readdir(page.dirPath);
-      sections = files.filter(isMarkdownFile).sort(compareFilenames);
+      sections = locale.locales.length
+        ? selectSectionFiles(files, locale.code, locale.locales)
+        : files.sort(compareFilenames);
+    } else if (locale.locales.length) {
+      sections = sections.map((file) =>
+        localizeFilename(file, locale.code, files)
+      );
     }
 
     sections = page.initSections(sections);
@@ -154,57 +510,160 @@ export class ContentCollector {
     //     .map((file) => this.#processSection(file, page)) //join(pagePath, file)
     // );
 
-    // Process each markdown file as a section
+    // Process each markdown file as a section (dropped ones are null)
     sections = await Promise.all(
-      sections.map((section) => this.#processSection(section))
+      sections.map((section) => this.#processSection(section, configPath))
     );
+    sections = sections.filter(Boolean);
 
-    // console.log({ sections });
+    return sections;
+  }
 
-    // Filter out null sections and build hierarchy
-    // const validSections = sections.filter(Boolean);
-    // const hierarchy = this.#buildSectionHierarchy(validSections);
+  /**
+   * Loads the metadata and sections of the template page that a page
+   * `extends`, itself merged over its own template if it has one. Fields
+   * about the template page itself, like `hidden` or `order`, are not
+   * inherited.
+   *
+   * @param {string} name - Path of the template page in the pages folder
+   * @param {Page} page - The extending page
+   * @param {Object} locale
+   * @param {string[]} stack - Folders of the extending pages, for cycles
+   */
+  async #loadTemplate(name, page, locale, stack) {
+    const template = new Page(name, page.site);
+    const from = join(page.dirPath, "page.yml");
+
+    if (stack.includes(template.dirPath)) {
+      const cycle = [...stack, template.dirPath]
+        .map((path) => relative(page.site.pagesDir, path))
+        .join(" -> ");
+
+      throw createError(`Template cycle: ${cycle}`, {
+        code: CODES.TEMPLATE_FAILED,
+        path: from,
+      });
+    }
 
-    // Check for subpages
-    const subpages = await this.#processSubpages(page);
+    if (!(await this.#limit(() => template.exists()))) {
+      throw createError(`Template page not found: ${name}`, {
+        code: CODES.TEMPLATE_FAILED,
+        path: from,
+      });
+    }
+
+    const configPath = join(template.dirPath, "page.yml");
+    const {
+      sections: sectionFiles,
+      extends: parent,
+      ...config
+    } = await this.#loadPageConfig(template, configPath, locale);
+
+    const metadata = omitTemplateFields(config);
+    const sections = await this.#processSections(
+      template,
+      await this.#readDir(template.dirPath),
+      sectionFiles,
+      configPath,
+      locale
+    );
+
+    if (!parent) return { metadata, sections };
+
+    const base = await this.#loadTemplate(parent, template, locale, [
+      ...stack,
+      template.dirPath,
+    ]);
 
     return {
-      route: "/" + page.route,
-      ...pageMetadata,
-      sections,
-      // sections: hierarchy,
-      ...(subpages.length > 0 && { subpages }),
+      metadata: mergeConfig(base.metadata, metadata),
+      sections: mergeSections(base.sections, sections),
     };
   }
 
-  async #processSubpages(parentPage) {
-    const entries = await readdir(parentPage.dirPath);
-    const subpages = [];
+  /**
+   * Loads the page.yml of a page, merged with its `page.<locale>.yml` when
+   * collecting a declared locale, e.g. for translated titles.
+   */
+  #loadPageConfig(page, configPath, locale) {
+    const load = () => this.#limit(() => page.loadConfig());
+
+    if (!locale.locales.length) {
+      return this.#fileCache.load(configPath, [configPath], load);
+    }
+
+    const localizedPath = join(page.dirPath, `page.${locale.code}.yml`);
 
-    for (const entry of entries) {
-      const pagePath = join(parentPage.dirPath, entry);
-      const stats = await stat(pagePath);
+    return this.#fileCache.load(
+      `${configPath}#${locale.code}`,
+      [configPath, localizedPath],
+      async () => ({
+        ...(await load()),
+        ...(await this.#limit(() => readYamlFile(localizedPath))),
+      })
+    );
+  }
 
-      if (stats.isDirectory()) {
+  async #processSubpages(parentPage, entries, locale) {
+    const folders = entries.filter(isDirectoryLike);
+    const subpages = await Promise.all(
+      folders.map(async ({ name: entry }) => {
+        const relPath = join(parentPage.path, entry);
         try {
-          const relPath = join(parentPage.path, entry);
-          const subpage = await this.#processPage(relPath, parentPage.site);
-          if (subpage) subpages.push(subpage);
+          return await this.#processPage(relPath, parentPage.site, locale);
         } catch (err) {
-          this.#context.errors.push({
-            page: entry,
-            message: `Failed to process subpage: ${err.message}`,
-            stack:
-              process.env.NODE_ENV === "development" ? err.stack : undefined,
+          this.#context.diagnostics.fromError(err, {
+            code: CODES.SUBPAGE_FAILED,
+            page: relPath,
           });
+          return null;
         }
-      }
-    }
+      })
+    );
+
+    return sortPages(folders, subpages);
+  }
+
+  /**
+   * Returns the latest mtime of a page's page.yml and section files, as an
+   * ISO string, e.g. for the lastmod dates of a sitemap.
+   */
+  async #getLastModified(dirPath, entries) {
+    const files = entries
+      .filter((entry) => !entry.isDirectory())
+      .map((entry) => entry.name)
+      .filter((name) => name === "page.yml" || isMarkdownFile(name));
+
+    // Files checked by the cache during this run are not stat-ed again
+    const times = await Promise.all(
+      files.map((name) => {
+        const path = join(dirPath, name);
+        const time = this.#fileCache.getModifiedTime(path);
+        if (time !== undefined) return time;
+
+        return this.#limit(() => stat(path)).then(
+          (stats) => stats.mtimeMs,
+          () => 0
+        );
+      })
+    );
+
+    const latest = Math.max(0, ...times);
+    return latest ? new Date(latest).toISOString() : undefined;
+  }
 
-    return subpages;
+  // In analysis mode (the `analyze` option), unpublished content is kept
+  // so that it can be checked too
+  #isPublished(fields, details) {
+    const published = this.#context.schedule.isPublished(fields, details);
+    return published || Boolean(this.#context.config.analyze);
   }
 
-  async #processSection(section) {
+  #readDir(path) {
+    return this.#limit(() => readdir(path, { withFileTypes: true }));
+  }
+
+  async #processSection(section, configPath) {
     // const section = new Section(filePath, page);
     // const { name } = parse(filePath);
     // const { prefix, name: baseName } = parseNumericPrefix(name);
@@ -220,68 +679,79 @@ export class ContentCollector {
     // }
 
     try {
-      const content = await readFile(section.filePath, "utf8");
-      const processed = await this.#processMarkdown(content);
+      const { body, schedule, ...processed } = await this.#fileCache.load(
+        section.filePath,
+        [section.filePath, configPath],
+        async () =>
+          this.#processMarkdown(
+            await this.#limit(() => readFile(section.filePath, "utf8")),
+            section.filePath
+          )
+      );
+
+      if (!this.#isPublished(schedule, { file: section.filePath })) {
+        return null;
+      }
+
+      Object.assign(
+        processed,
+        await this.#resolveIncludes(processed, section.filePath)
+      );
+
+      // Input data is not cached since it may come from remote sources
+      processed.input = await this.#loadInput(processed.input);
 
       // Run content through processor plugins
       for (const plugin of this.#plugins.getOrderedPlugins()) {
         if (plugin.processContent) {
           processed.content = await plugin.processContent(processed.content, {
             ...this.#context,
+            currentFile: section.filePath,
             currentSection: section.filePath,
+            currentBody: body,
           });
         }
       }
 
       const subsections = await Promise.all(
-        section.subsections.map((child) => this.#processSection(child))
+        section.subsections.map((child) =>
+          this.#processSection(child, configPath)
+        )
       );
 
-      return {
+      const output = {
         id: section.name,
         // title: baseName,
         ...processed,
-        subsections,
+        subsections: subsections.filter(Boolean),
+        [SOURCE]: section.filePath,
       };
+
+      return await this.#applyTransforms("transformSection", output, {
+        ...this.#context,
+        currentFile: section.filePath,
+        currentSection: section.filePath,
+      });
     } catch (err) {
       throw createError(`Failed to process section ${section.name}`, {
         cause: err,
+        code: CODES.SECTION_FAILED,
         path: section.filePath,
       });
     }
   }
 
-  async #processMarkdown(content) {
-    let frontMatter = {};
-    let markdown = content;
-
-    // Process front matter if present
-    if (content.trim().startsWith("---")) {
-      const parts = content.split("---\n");
-      if (parts.length >= 3) {
-        try {
-          frontMatter = yaml.load(parts[1]) || {};
-          markdown = parts.slice(2).join("---\n");
-        } catch (err) {
-          throw createError("Invalid front matter", { cause: err });
-        }
-      }
-    }
-
-    let { component, preset, input, ...params } = frontMatter;
+  async #processMarkdown(content, path) {
+    const {
+      data: frontMatter,
+      body: markdown,
+      format,
+      bodyLine,
+      bodyOffset,
+    } = parseFrontMatter(content, { path });
 
-    // Load input data if specified
-    if (input) {
-      for (const plugin of this.#plugins.getOrderedPlugins()) {
-        if (plugin.loadData) {
-          try {
-            input = await plugin.loadData(input, this.#context);
-          } catch (err) {
-            throw createError("Failed to load input data", { cause: err });
-          }
-        }
-      }
-    }
+    const { component, preset, input, draft, publishAt, expireAt, ...params } =
+      frontMatter;
 
     // Convert markdown to ProseMirror JSON structure
     const proseMirrorContent = markdownToProseMirror(markdown);
@@ -292,9 +762,127 @@ export class ContentCollector {
       input,
       params,
       content: proseMirrorContent,
+      // Where the markdown starts in the file, so that plugins can point
+      // diagnostics into the body. Not part of the section output.
+      body: { format, line: bodyLine, offset: bodyOffset },
+      // Evaluated on every run, since the result depends on the time
+      schedule: { draft, publishAt, expireAt },
     };
   }
 
+  /**
+   * Inlines the snippets referenced by a section or snippet, from its
+   * `include` front matter and its `::include{name}` directives. Front
+   * matter includes come before the section's own content, and their
+   * params and component are defaults for the section's. The snippets are
+   * listed in `includes`, with the snippets they include in turn.
+   *
+   * @param {Object} processed - Parsed section
+   * @param {string} filePath - File of the section
+   * @param {string[]} [stack] - Files being included, to detect cycles
+   */
+  async #resolveIncludes(processed, filePath, stack = [filePath]) {
+    const { include, ...params } = processed.params ?? {};
+    const includes = [];
+
+    const load = async (name, via) => {
+      const snippet = await this.#loadSnippet(name, stack);
+      includes.push({
+        snippet: name,
+        file: relative(this.#context.resourcePath, snippet.file),
+        via,
+        ...(snippet.includes.length > 0 && { includes: snippet.includes }),
+      });
+      return snippet;
+    };
+
+    const snippets = [];
+    for (const name of toIncludeList(include)) {
+      snippets.push(await load(name, "front-matter"));
+    }
+
+    const content = await expandDirectives(
+      processed.content,
+      async (name) => (await load(name, "directive")).content?.content ?? []
+    );
+
+    if (!includes.length) return { params };
+
+    const [first] = snippets;
+
+    return {
+      component: processed.component ?? first?.component,
+      preset: processed.preset ?? first?.preset,
+      params: Object.assign({}, ...snippets.map((s) => s.params), params),
+      content: {
+        ...content,
+        content: [
+          ...snippets.flatMap((s) => s.content?.content ?? []),
+          ...(content?.content ?? []),
+        ],
+      },
+      includes,
+    };
+  }
+
+  async #loadSnippet(name, stack) {
+    const file = join(this.#sharedPath, getSnippetPath(name));
+
+    if (stack.includes(file)) {
+      const cycle = [...stack, file]
+        .map((path) => relative(this.#context.resourcePath, path))
+        .join(" -> ");
+
+      throw createError(`Include cycle: ${cycle}`, {
+        code: CODES.INCLUDE_CYCLE,
+        path: stack.at(-1),
+      });
+    }
+
+    const { body, schedule, ...snippet } = await this.#fileCache.load(
+      file,
+      [file],
+      async () => {
+        const content = await this.#limit(() => readFile(file, "utf8")).catch(
+          (err) => {
+            if (err.code !== "ENOENT") throw err;
+            throw createError(`Snippet not found: ${name}`, {
+              code: CODES.INCLUDE_FAILED,
+              path: stack.at(-1),
+            });
+          }
+        );
+        return this.#processMarkdown(content, file);
+      }
+    );
+
+    const resolved = await this.#resolveIncludes(snippet, file, [
+      ...stack,
+      file,
+    ]);
+
+    return { ...snippet, ...resolved, includes: resolved.includes ?? [], file };
+  }
+
+  async #loadInput(input) {
+    if (!input) return input;
+
+    for (const plugin of this.#plugins.getOrderedPlugins()) {
+      if (plugin.loadData) {
+        try {
+          input = await plugin.loadData(input, this.#context);
+        } catch (err) {
+          throw createError("Failed to load input data", {
+            cause: err,
+            code: CODES.INPUT_LOAD_FAILED,
+          });
+        }
+      }
+    }
+
+    return input;
+  }
+
   #buildSectionHierarchy(sections) {
     const sectionMap = new Map();
     const topLevel = [];
@@ -334,3 +922,25 @@ export class ContentCollector {
     );
   }
 }
+
+/**
+ * Sorts processed pages by their page.yml `order`/`weight` or the numeric
+ * prefix of their folder, whatever order they completed in. Null pages
+ * (hidden or failed) are left out.
+ */
+function sortPages(entries, pages) {
+  return entries
+    .map(({ name }, i) => ({
+      name,
+      page: pages[i],
+      order: pages[i] && getPageOrder(name, pages[i]),
+    }))
+    .filter((item) => item.page)
+    .sort(comparePages)
+    .map((item) => item.page);
+}
+
+// Symbolic links may point to folders, so let Page.exists() decide for those
+function isDirectoryLike(entry) {
+  return entry.isDirectory() || entry.isSymbolicLink();
+}
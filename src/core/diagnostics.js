@@ -0,0 +1,181 @@
+// src/core/diagnostics.js
+
+export const SEVERITY = {
+  ERROR: "error",
+  WARNING: "warning",
+  INFO: "info",
+};
+
+// Stable identifiers so that tools can filter or match diagnostics
+// without parsing their messages
+export const CODES = {
+  COLLECTION_FAILED: "collection-failed",
+  PAGE_FAILED: "page-failed",
+  SUBPAGE_FAILED: "subpage-failed",
+  SECTION_FAILED: "section-failed",
+  FRONT_MATTER_INVALID: "front-matter-invalid",
+  INPUT_LOAD_FAILED: "input-load-failed",
+  SCHEDULE_INVALID: "schedule-invalid",
+  INCLUDE_FAILED: "include-failed",
+  INCLUDE_CYCLE: "include-cycle",
+  TEMPLATE_FAILED: "template-failed",
+  META_MISSING: "meta-missing",
+  META_TOO_LONG: "meta-too-long",
+  IMAGE_METADATA_INVALID: "image-metadata-invalid",
+  PLUGIN_ERROR: "plugin-error",
+  PLUGIN_WARNING: "plugin-warning",
+};
+
+const KNOWN_CODES = new Set(Object.values(CODES));
+
+/**
+ * Collects the errors, warnings and notes produced during a collection run.
+ *
+ * Each diagnostic has the shape:
+ * {
+ *   severity: "error" | "warning" | "info",
+ *   code: string,     // One of CODES or a plugin-defined code
+ *   message: string,
+ *   file?: string,    // Absolute path of the offending file
+ *   line?: number,    // 1-based
+ *   column?: number,  // 1-based
+ *   page?: string,
+ *   plugin?: string,
+ *   stack?: string    // Only in development
+ * }
+ */
+export class Diagnostics {
+  #items = [];
+
+  add(diagnostic) {
+    const { severity = SEVERITY.ERROR, code, message, ...details } =
+      diagnostic;
+
+    if (!Object.values(SEVERITY).includes(severity)) {
+      throw new Error(`Unknown diagnostic severity: ${severity}`);
+    }
+
+    const item = { severity, code, message };
+
+    for (const [key, value] of Object.entries(details)) {
+      if (value !== undefined && value !== null) item[key] = value;
+    }
+
+    this.#items.push(item);
+    return item;
+  }
+
+  error(code, message, details = {}) {
+    return this.add({ ...details, severity: SEVERITY.ERROR, code, message });
+  }
+
+  warning(code, message, details = {}) {
+    return this.add({ ...details, severity: SEVERITY.WARNING, code, message });
+  }
+
+  info(code, message, details = {}) {
+    return this.add({ ...details, severity: SEVERITY.INFO, code, message });
+  }
+
+  /**
+   * Records an error, using the details attached to it and to its chain of
+   * causes (see `createError`). The innermost `path`, `line` and `column`
+   * win since they are the most precise, and so does the innermost known
+   * diagnostic code.
+   *
+   * @param {Error|string} error
+   * @param {Object} [details] - Defaults for fields the error does not provide
+   */
+  fromError(error, details = {}) {
+    const chain = [];
+    for (let e = error; e; e = e.cause) {
+      chain.push(e instanceof Error ? e : new Error(String(e)));
+    }
+
+    const found = {};
+    for (const e of chain) {
+      if (e.path !== undefined) found.file = e.path;
+      if (e.line !== undefined) found.line = e.line;
+      if (e.column !== undefined) found.column = e.column;
+      if (KNOWN_CODES.has(e.code)) found.code = e.code;
+    }
+
+    const message = chain
+      .map((e) => e.message)
+      .filter(Boolean)
+      .join(": ");
+
+    return this.add({
+      ...details,
+      ...found,
+      code: found.code ?? details.code,
+      message,
+      stack:
+        process.env.NODE_ENV === "development" ? chain[0].stack : undefined,
+    });
+  }
+
+  get errors() {
+    return this.#filter(SEVERITY.ERROR);
+  }
+
+  get warnings() {
+    return this.#filter(SEVERITY.WARNING);
+  }
+
+  get length() {
+    return this.#items.length;
+  }
+
+  hasErrors() {
+    return this.#items.some((item) => item.severity === SEVERITY.ERROR);
+  }
+
+  clear() {
+    this.#items = [];
+  }
+
+  toJSON() {
+    return this.#items.map((item) => ({ ...item }));
+  }
+
+  #filter(severity) {
+    return this.#items.filter((item) => item.severity === severity);
+  }
+}
+
+/**
+ * Formats a diagnostic as a single line, e.g.
+ * `pages/home/1-hero.md:3:5 error front-matter-invalid: bad indentation`
+ */
+export function formatDiagnostic(diagnostic) {
+  const { severity, code, message, file, line, column, page, plugin } =
+    diagnostic;
+
+  let location = file ?? page ?? "";
+  if (file && line) location += `:${line}` + (column ? `:${column}` : "");
+
+  const source = plugin ? ` [${plugin}]` : "";
+  const prefix = location ? `${location} ` : "";
+
+  return `${prefix}${severity} ${code ?? "unknown"}: ${message}${source}`;
+}
+
+/**
+ * Thrown by a collector in strict mode when the run produced errors. The
+ * `errors` are one Error per error diagnostic, and `diagnostics` holds the
+ * full list, warnings included.
+ */
+export class CollectionError extends AggregateError {
+  constructor(diagnostics) {
+    const errors = diagnostics
+      .filter((item) => item.severity === SEVERITY.ERROR)
+      .map((item) =>
+        Object.assign(new Error(formatDiagnostic(item)), { diagnostic: item })
+      );
+
+    super(errors, `Content collection failed with ${errors.length} error(s)`);
+    this.name = "CollectionError";
+    this.diagnostics = diagnostics;
+  }
+}
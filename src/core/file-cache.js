@@ -0,0 +1,150 @@
+// src/core/file-cache.js
+import { readFile, stat } from "node:fs/promises";
+import { createHash } from "node:crypto";
+
+/**
+ * Caches values derived from files across collection runs. Each entry records
+ * a signature (mtime and size, or a content hash) for every file it depends
+ * on, and is reused for as long as none of those files has changed.
+ */
+export class FileCache {
+  #entries = new Map();
+  #touched = new Set();
+  #modified = new Map();
+  #enabled;
+  #hash;
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true] - When false, values are always recomputed
+   * @param {boolean} [options.hash=false] - Compare file contents instead of mtime/size
+   */
+  constructor(options = {}) {
+    const { enabled = true, hash = false } = options;
+    this.#enabled = enabled;
+    this.#hash = hash;
+  }
+
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * Returns the cached value for `key` if all its dependencies are unchanged,
+   * otherwise computes, stores and returns a new one. Values are cloned on the
+   * way out so callers can mutate them freely.
+   *
+   * @param {string} key - Cache key, usually the path of the main file
+   * @param {string[]} dependencies - Paths of the files the value is built from
+   * @param {Function} compute - Async function that builds the value
+   * @returns {Promise<*>}
+   */
+  async load(key, dependencies, compute) {
+    if (!this.#enabled) return compute();
+
+    this.#touched.add(key);
+    const entry = this.#entries.get(key);
+    if (entry && (await this.#isFresh(entry))) {
+      return structuredClone(entry.value);
+    }
+
+    // Sign before computing so that an edit made while the value is being
+    // built is picked up by the next run
+    const signatures = await this.#sign(dependencies);
+    const value = await compute();
+
+    this.#entries.set(key, { value, signatures });
+    return structuredClone(value);
+  }
+
+  /**
+   * Returns the modification time of a file (in ms) as seen when checking
+   * the entries that depend on it since the last prune, so that callers do
+   * not stat it again. Undefined for files not checked since, and in hash
+   * mode.
+   *
+   * @param {string} path
+   * @returns {number|undefined}
+   */
+  getModifiedTime(path) {
+    return this.#modified.get(path);
+  }
+
+  /**
+   * Drops the entry stored under `path` and every entry that depends on it.
+   *
+   * @param {string} path
+   * @returns {number} Number of entries removed
+   */
+  invalidate(path) {
+    let removed = 0;
+
+    for (const [key, entry] of this.#entries) {
+      if (key === path || entry.signatures.has(path)) {
+        this.#entries.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Drops the entries that no call to load() used since the last prune, such
+   * as those of deleted files. Called at the end of each collection run.
+   *
+   * @returns {number} Number of entries removed
+   */
+  prune() {
+    let removed = 0;
+
+    for (const key of this.#entries.keys()) {
+      if (!this.#touched.has(key)) {
+        this.#entries.delete(key);
+        removed++;
+      }
+    }
+
+    this.#touched.clear();
+    this.#modified.clear();
+    return removed;
+  }
+
+  clear() {
+    this.#entries.clear();
+    this.#touched.clear();
+    this.#modified.clear();
+  }
+
+  async #isFresh(entry) {
+    for (const [path, signature] of entry.signatures) {
+      if ((await this.#signature(path)) !== signature) return false;
+    }
+    return true;
+  }
+
+  async #sign(paths) {
+    const unique = [...new Set(paths.filter(Boolean))];
+    const signatures = await Promise.all(
+      unique.map((path) => this.#signature(path))
+    );
+    return new Map(unique.map((path, i) => [path, signatures[i]]));
+  }
+
+  async #signature(path) {
+    try {
+      if (this.#hash) {
+        const content = await readFile(path);
+        return createHash("sha1").update(content).digest("hex");
+      }
+
+      const stats = await stat(path);
+      this.#modified.set(path, stats.mtimeMs);
+      return `${stats.mtimeMs}:${stats.size}`;
+    } catch (err) {
+      // A missing file is a valid state (e.g. optional page.yml)
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+}
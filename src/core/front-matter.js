@@ -0,0 +1,241 @@
+// src/core/front-matter.js
+import yaml from "js-yaml";
+import { parse as parseToml } from "smol-toml";
+import { createError } from "./utils.js";
+import { CODES } from "./diagnostics.js";
+
+// Delimiter lines of the supported block formats. JSON front matter can
+// also be a bare object starting with "{" on the first line, as long as it
+// parses as one.
+const FENCES = {
+  "---": "yaml",
+  "+++": "toml",
+  ";;;": "json",
+};
+
+const PARSERS = {
+  yaml: (source) => yaml.load(source),
+  toml: (source) => parseToml(source),
+  json: (source) => JSON.parse(source),
+};
+
+/**
+ * Splits a markdown file into its front matter and body.
+ *
+ * Supported formats:
+ * - YAML between "---" lines (the closing line may also be "...")
+ * - TOML between "+++" lines
+ * - JSON between ";;;" lines, or a JSON object starting at the first line
+ *   (a first line such as "{{ greeting }}" that does not parse as an object
+ *   is part of the body)
+ *
+ * Delimiters are matched as whole lines, so CRLF files, "---" inside
+ * indented block scalars and thematic breaks in the body are handled. A
+ * file whose opening fence is never closed is treated as having no front
+ * matter, since it may simply start with a thematic break.
+ *
+ * @param {string} content - File content
+ * @param {Object} [options]
+ * @param {string} [options.path] - File path, attached to parse errors
+ * @returns {{data: Object, body: string, format: string|null, bodyLine: number, bodyOffset: number}}
+ *   `bodyLine` is the 1-based line where the body starts and `bodyOffset`
+ *   its byte offset in the UTF-8 file.
+ * @throws {Error} With `code`, `path`, `line` and `column` when the front
+ *   matter cannot be parsed
+ */
+export function parseFrontMatter(content, options = {}) {
+  const { path } = options;
+
+  // Skip a byte order mark, which is not part of the text
+  const start = content.charCodeAt(0) === 0xfeff ? 1 : 0;
+  const block = findBlock(content, start);
+
+  if (!block) {
+    return {
+      data: {},
+      body: content.slice(start),
+      format: null,
+      bodyLine: 1,
+      bodyOffset: Buffer.byteLength(content.slice(0, start)),
+    };
+  }
+
+  const { format, source, sourceLine, bodyIndex, bodyLine } = block;
+  let data;
+
+  try {
+    data = PARSERS[format](source) ?? {};
+  } catch (err) {
+    const { line, column } = locateError(err, source);
+
+    throw createError(`Invalid ${format.toUpperCase()} front matter`, {
+      cause: err,
+      code: CODES.FRONT_MATTER_INVALID,
+      path,
+      line: line !== undefined ? sourceLine + line - 1 : sourceLine,
+      column,
+    });
+  }
+
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw createError("Front matter must be a key-value object", {
+      code: CODES.FRONT_MATTER_INVALID,
+      path,
+      line: sourceLine,
+    });
+  }
+
+  return {
+    data,
+    body: content.slice(bodyIndex),
+    format,
+    bodyLine,
+    bodyOffset: Buffer.byteLength(content.slice(0, bodyIndex)),
+  };
+}
+
+/**
+ * Locates the front matter block. Returns its format, its source text, the
+ * 1-based line where that text starts, and where the body starts.
+ */
+function findBlock(content, start) {
+  const lines = splitLines(content, start);
+  if (!lines.length) return null;
+
+  const first = lines[0];
+  const fence = first.text.trimEnd();
+
+  if (FENCES[fence]) {
+    const format = FENCES[fence];
+
+    for (let i = 1; i < lines.length; i++) {
+      const text = lines[i].text.trimEnd();
+      const isClosing = text === fence || (format === "yaml" && text === "...");
+
+      if (isClosing) {
+        const next = lines[i + 1];
+        return {
+          format,
+          source: content.slice(first.end, lines[i].start),
+          sourceLine: 2,
+          bodyIndex: next ? next.start : content.length,
+          bodyLine: i + 2,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  if (first.text.startsWith("{")) {
+    const end = findObjectEnd(content, first.start);
+    if (end === -1) return null;
+
+    // The body starts on the line after the closing brace
+    const source = content.slice(first.start, end + 1);
+    if (!isJsonObject(source)) return null;
+
+    const closing = lines.findIndex((line) => line.end > end);
+    const next = lines[closing + 1];
+
+    return {
+      format: "json",
+      source,
+      sourceLine: 1,
+      bodyIndex: next ? next.start : content.length,
+      bodyLine: closing + 2,
+    };
+  }
+
+  return null;
+}
+
+function isJsonObject(source) {
+  try {
+    const value = JSON.parse(source);
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Splits the content into lines, keeping the index where each line starts
+ * and where the next one starts (after its line break).
+ */
+function splitLines(content, start) {
+  const lines = [];
+  const pattern = /\r\n|\r|\n/g;
+  let lineStart = start;
+  let match;
+
+  while ((match = pattern.exec(content))) {
+    lines.push({
+      text: content.slice(lineStart, match.index),
+      start: lineStart,
+      end: match.index + match[0].length,
+    });
+    lineStart = match.index + match[0].length;
+  }
+
+  if (lineStart < content.length) {
+    lines.push({
+      text: content.slice(lineStart),
+      start: lineStart,
+      end: content.length,
+    });
+  }
+
+  return lines;
+}
+
+/**
+ * Returns the index of the brace closing the JSON object that starts at
+ * `start`, or -1 if it is never closed. Braces inside strings are ignored.
+ */
+function findObjectEnd(content, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+
+    if (inString) {
+      if (char === "\\") i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}" && --depth === 0) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Returns the 1-based line and column of a parser error within the parsed
+ * source, when the parser provides them.
+ */
+function locateError(err, source) {
+  // js-yaml
+  if (err.mark) {
+    return { line: err.mark.line + 1, column: err.mark.column + 1 };
+  }
+
+  // smol-toml
+  if (typeof err.line === "number") {
+    return { line: err.line, column: err.column };
+  }
+
+  // JSON.parse only reports a character position
+  const position = /position (\d+)/.exec(err.message)?.[1];
+  if (position !== undefined) {
+    const before = source.slice(0, Number(position)).split(/\r\n|\r|\n/);
+    return { line: before.length, column: before.at(-1).length + 1 };
+  }
+
+  return {};
+}
@@ -0,0 +1,85 @@
+// src/core/includes.js
+import { createError } from "./utils.js";
+import { CODES } from "./diagnostics.js";
+
+// Folder of the snippet library, under the pages folder. Like the special
+// pages, it is not collected as a page.
+export const SHARED_FOLDER = "@shared";
+
+// A paragraph made of a single `::include{name}` line
+const DIRECTIVE = /^::include\{\s*([^}\s]+)\s*\}$/;
+
+/**
+ * Normalizes the `include` front matter of a section, which is a snippet
+ * name or a list of them.
+ *
+ * @param {string|string[]} [value]
+ * @returns {string[]}
+ */
+export function toIncludeList(value) {
+  if (value === undefined || value === null) return [];
+
+  const names = Array.isArray(value) ? value : [value];
+
+  for (const name of names) {
+    if (typeof name !== "string" || !name) {
+      throw createError(`Invalid include: ${JSON.stringify(name)}`, {
+        code: CODES.INCLUDE_FAILED,
+      });
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Returns the relative path of a snippet's file in the snippet library,
+ * e.g. "cta/signup" gives "cta/signup.md".
+ */
+export function getSnippetPath(name) {
+  const path = name.endsWith(".md") ? name : `${name}.md`;
+
+  if (path.startsWith("/") || path.split("/").includes("..")) {
+    throw createError(`Snippet names must stay in the library: ${name}`, {
+      code: CODES.INCLUDE_FAILED,
+    });
+  }
+
+  return path;
+}
+
+/**
+ * Returns the snippet name of an include directive node, or null.
+ */
+export function getDirective(node) {
+  if (node?.type !== "paragraph" || node.content?.length !== 1) return null;
+
+  const [child] = node.content;
+  if (child.type !== "text" || child.marks?.length) return null;
+
+  return DIRECTIVE.exec(child.text.trim())?.[1] ?? null;
+}
+
+/**
+ * Replaces the top-level include directives of a ProseMirror document with
+ * the nodes returned by `resolve` for their snippet names.
+ *
+ * @param {Object} doc
+ * @param {function(string): Promise<Object[]>} resolve
+ * @returns {Promise<Object>} A new document, or `doc` without directives
+ */
+export async function expandDirectives(doc, resolve) {
+  if (!Array.isArray(doc?.content) || !doc.content.some(getDirective)) {
+    return doc;
+  }
+
+  const content = [];
+
+  for (const node of doc.content) {
+    const name = getDirective(node);
+    if (name) content.push(...(await resolve(name)));
+    else content.push(node);
+  }
+
+  return { ...doc, content };
+}
@@ -0,0 +1,130 @@
+// src/core/locales.js
+import { compareFilenames, isMarkdownFile } from "./utils.js";
+
+// Marks each collected page with its folder path relative to its locale
+// root, which is what its translations have in common. Symbol keys are
+// kept by object spreads but left out of the JSON output.
+export const PAGE_KEY = Symbol("pageKey");
+
+/**
+ * Reads the locales declared in site.yml:
+ *
+ *   defaultLanguage: en
+ *   languages: [en, fr]
+ *
+ * Without `languages` the site has a single locale, and locale suffixes in
+ * file names have no special meaning.
+ *
+ * @param {Object} siteConfig - Contents of site.yml
+ * @returns {{defaultLocale: string, locales: string[]}}
+ */
+export function getLocales(siteConfig = {}) {
+  const declared = Array.isArray(siteConfig.languages)
+    ? siteConfig.languages.map(String)
+    : [];
+  const defaultLocale = String(
+    siteConfig.defaultLanguage ?? declared[0] ?? "en"
+  );
+
+  // The default locale always comes first
+  const locales = [
+    defaultLocale,
+    ...declared.filter((locale) => locale !== defaultLocale),
+  ];
+
+  return { defaultLocale, locales: declared.length ? locales : [] };
+}
+
+/**
+ * Splits a file name into its base name and locale suffix, e.g.
+ * "1-hero.fr.md" into { base: "1-hero.md", locale: "fr" }. Only declared
+ * locales count as suffixes.
+ */
+export function parseLocaleSuffix(filename, locales) {
+  const match = /^(.+)\.([^.]+)(\.[^.]+)$/.exec(filename);
+
+  if (!match || !locales.includes(match[2])) {
+    return { base: filename, locale: null };
+  }
+
+  return { base: match[1] + match[3], locale: match[2] };
+}
+
+/**
+ * Picks the section files of a page for a locale. Each section is read
+ * from its locale-suffixed file when there is one, and otherwise from the
+ * unsuffixed file of the default locale. Files suffixed with other locales
+ * are left out.
+ *
+ * @param {string[]} files - Markdown file names of the page folder
+ * @param {string} locale
+ * @param {string[]} locales - Declared locales
+ * @returns {string[]} File names, sorted by their base names
+ */
+export function selectSectionFiles(files, locale, locales) {
+  const selected = new Map();
+
+  for (const file of files) {
+    if (!isMarkdownFile(file)) continue;
+
+    const { base, locale: suffix } = parseLocaleSuffix(file, locales);
+
+    if (suffix === locale) selected.set(base, file);
+    else if (!suffix && !selected.has(base)) selected.set(base, file);
+  }
+
+  return [...selected.keys()]
+    .sort(compareFilenames)
+    .map((base) => selected.get(base));
+}
+
+/**
+ * Returns the locale-suffixed variant of a section file listed in a
+ * page.yml, if the page folder has one.
+ */
+export function localizeFilename(file, locale, files) {
+  const dot = file.lastIndexOf(".");
+  if (dot <= 0) return file;
+
+  const localized = `${file.slice(0, dot)}.${locale}${file.slice(dot)}`;
+  return files.includes(localized) ? localized : file;
+}
+
+/**
+ * Prefixes a route with its locale, e.g. "/about" becomes "/fr/about" and
+ * the home route "/" becomes "/fr".
+ */
+export function localizeRoute(route, locale) {
+  return `/${locale}${route === "/" ? "" : route}`;
+}
+
+/**
+ * Links the translations of every page to each other. Pages are matched by
+ * their folder path relative to their locale root, and get an `alternates`
+ * list of `{ locale, route }` links, their own locale included.
+ *
+ * @param {Object<string, Object[]>} pagesByLocale - Top-level pages by locale
+ */
+export function addAlternates(pagesByLocale) {
+  const links = new Map();
+  const visit = (pages, callback) => {
+    for (const page of pages) {
+      if (page[PAGE_KEY] !== undefined) callback(page);
+      visit(page.subpages ?? [], callback);
+    }
+  };
+
+  for (const [locale, pages] of Object.entries(pagesByLocale)) {
+    visit(pages, (page) => {
+      const key = page[PAGE_KEY];
+      if (!links.has(key)) links.set(key, []);
+      links.get(key).push({ locale, route: page.route });
+    });
+  }
+
+  for (const pages of Object.values(pagesByLocale)) {
+    visit(pages, (page) => {
+      page.alternates = links.get(page[PAGE_KEY]).map((link) => ({ ...link }));
+    });
+  }
+}
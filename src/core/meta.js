@@ -0,0 +1,168 @@
+// src/core/meta.js
+import { summarize } from "./collections.js";
+import { CODES } from "./diagnostics.js";
+import { EXTERNAL_URL, findNode, getText } from "./utils.js";
+
+// Beyond these lengths, search engines usually cut titles and descriptions
+export const MAX_TITLE_LENGTH = 60;
+export const MAX_DESCRIPTION_LENGTH = 160;
+
+/**
+ * Resolves the metadata that a page shows to search engines and link
+ * previews. Values come from the `meta` of the page.yml, then its `title`,
+ * `description` and `image`, then its content (first H1, first paragraph
+ * and first image with a URL), and last the `meta` defaults of site.yml:
+ *
+ *   url: https://example.com
+ *   meta:
+ *     title: Acme                # Site name, and title of untitled pages
+ *     titleTemplate: "%s | Acme"
+ *     description: Tools for builders
+ *     image: /images/share.png
+ *     twitter: "@acme"
+ *
+ * The canonical URL is the page's route under the base URL, unless the page
+ * sets `meta.canonical`. Without a base URL, pages have no canonical URL
+ * and images keep their site-relative paths. Content images given relative
+ * to their section file have no URL, unless a plugin such as `imageMeta`
+ * emitted them as assets, and are skipped.
+ *
+ * @param {Object} page - Collected page
+ * @param {Object} [site] - Contents of site.yml
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl]
+ * @param {string} [options.locale]
+ * @returns {Object}
+ */
+export function resolveMeta(page, site = {}, options = {}) {
+  return resolve(page, site, options).meta;
+}
+
+/**
+ * Sets the resolved `meta` of each page of a tree, and warns about pages
+ * whose title or description is missing or too long. Generated listing
+ * pages and pages kept out of search engines are not checked.
+ *
+ * @param {Object[]} pages - Collected pages, with their subpages
+ * @param {Object} site - Contents of site.yml
+ * @param {Object} options - `resolveMeta` options, and the `diagnostics`
+ */
+export function addMeta(pages, site, { diagnostics, ...options }) {
+  for (const page of pages) {
+    const { meta, pageTitle } = resolve(page, site, options);
+    page.meta = meta;
+
+    if (!page.generated && !meta.noindex) {
+      checkMeta(
+        page.route,
+        { ...meta, title: pageTitle && meta.title },
+        diagnostics
+      );
+    }
+
+    addMeta(page.subpages ?? [], site, { diagnostics, ...options });
+  }
+}
+
+// Also returns the title found for the page itself, which is missing when
+// the page falls back to the site name
+function resolve(page, site, options) {
+  const defaults = site.meta ?? {};
+  const own =
+    typeof page.meta === "object" && page.meta !== null ? page.meta : {};
+  const baseUrl = (options.baseUrl ?? "").replace(/\/+$/, "");
+  const summary = summarize(page, []);
+
+  const siteName = defaults.title ?? site.name ?? site.title;
+  const pageTitle =
+    own.title ?? page.title ?? findHeading(page) ?? summary.title;
+  const title =
+    pageTitle && defaults.titleTemplate
+      ? defaults.titleTemplate.replace("%s", pageTitle)
+      : pageTitle ?? siteName;
+
+  const description =
+    own.description ?? (summary.excerpt || undefined) ?? defaults.description;
+  const image = own.image ?? page.image ?? findImage(page) ?? defaults.image;
+  const canonical = own.canonical ?? (baseUrl ? page.route : undefined);
+  const noindex = own.noindex ?? page.noindex;
+
+  const meta = {
+    title,
+    description,
+    image: image && toAbsolute(image, baseUrl),
+    canonical: canonical && toAbsolute(canonical, baseUrl),
+    type: own.type ?? (summary.date ? "article" : "website"),
+    siteName,
+    locale: options.locale,
+    twitter: own.twitter ?? defaults.twitter,
+    ...(noindex && { noindex: true }),
+  };
+
+  for (const key of Object.keys(meta)) {
+    if (meta[key] === undefined) delete meta[key];
+  }
+
+  return { meta, pageTitle };
+}
+
+function checkMeta(route, { title, description }, diagnostics) {
+  const details = { page: route };
+
+  if (!title) {
+    diagnostics?.warning(
+      CODES.META_MISSING,
+      `Page ${route} has no title: set one in page.yml or start with a heading`,
+      details
+    );
+  } else if (title.length > MAX_TITLE_LENGTH) {
+    diagnostics?.warning(
+      CODES.META_TOO_LONG,
+      `Title of page ${route} is ${title.length} characters long (over ${MAX_TITLE_LENGTH})`,
+      details
+    );
+  }
+
+  if (!description) {
+    diagnostics?.warning(
+      CODES.META_MISSING,
+      `Page ${route} has no description: set one in page.yml or add a paragraph`,
+      details
+    );
+  } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+    diagnostics?.warning(
+      CODES.META_TOO_LONG,
+      `Description of page ${route} is ${description.length} characters long (over ${MAX_DESCRIPTION_LENGTH})`,
+      details
+    );
+  }
+}
+
+/**
+ * Returns the text of the first H1 of a page's sections.
+ */
+function findHeading(page) {
+  return findNode(
+    page.sections ?? [],
+    (node) => node.type === "heading" && (node.attrs?.level ?? 1) === 1,
+    (node) => getText(node).trim() || undefined
+  );
+}
+
+/**
+ * Returns the URL of the first image of a page's sections that has one:
+ * site-relative paths, and web URLs.
+ */
+function findImage(page) {
+  return findNode(
+    page.sections ?? [],
+    (node) => node.type === "image",
+    ({ attrs }) =>
+      /^(?:\/|https?:)/i.test(attrs?.src ?? "") ? attrs.src : undefined
+  );
+}
+
+function toAbsolute(url, baseUrl) {
+  if (!baseUrl || EXTERNAL_URL.test(url)) return url;
+  return baseUrl + (url.startsWith("/") ? url : `/${url}`);
+}
@@ -0,0 +1,79 @@
+// src/core/navigation.js
+
+/**
+ * Builds the navigation tree of a site from its collected pages, and adds
+ * `breadcrumbs` and `prev`/`next` links to every page.
+ *
+ * Navigation nodes have the shape:
+ * {
+ *   title: string,    // The page's `menuTitle`, `title` or route
+ *   route: string,
+ *   depth: number,    // 0 for top-level pages
+ *   order: number,    // Position among its siblings
+ *   children?: Array
+ * }
+ *
+ * Pages with `hideInMenu: true` in their page.yml, and their subpages, are
+ * left out of the tree and get no prev/next links, but still get
+ * breadcrumbs. The prev/next links follow the depth-first menu order.
+ *
+ * @param {Object[]} pages - Top-level pages, in order
+ * @param {Object} [options]
+ * @param {string} [options.homeRoute="/"] - Route of the home page, e.g.
+ *   "/fr" for the pages of a translation
+ * @returns {Object[]} Navigation nodes of the top-level pages
+ */
+export function buildNavigation(pages, { homeRoute = "/" } = {}) {
+  const home = pages.find((page) => page.route === homeRoute);
+  const homeLink = home && toLink(home);
+  const sequence = [];
+
+  const visit = (list, depth, ancestors, inMenu) => {
+    const nodes = [];
+
+    for (const page of list) {
+      const link = toLink(page);
+      const visible = inMenu && !page.hideInMenu;
+
+      // Trails start at the home page, which is stored as a sibling of the
+      // other top-level pages
+      const trail = [...ancestors, link];
+      page.breadcrumbs =
+        homeLink && trail[0].route !== homeRoute ? [homeLink, ...trail] : trail;
+
+      if (visible) sequence.push(page);
+
+      const children = visit(page.subpages ?? [], depth + 1, trail, visible);
+
+      if (visible) {
+        nodes.push({
+          title: link.title,
+          route: link.route,
+          depth,
+          order: nodes.length,
+          ...(children.length > 0 && { children }),
+        });
+      }
+    }
+
+    return nodes;
+  };
+
+  const navigation = visit(pages, 0, [], true);
+
+  sequence.forEach((page, i) => {
+    const prev = sequence[i - 1];
+    const next = sequence[i + 1];
+    if (prev) page.prev = toLink(prev);
+    if (next) page.next = toLink(next);
+  });
+
+  return navigation;
+}
+
+function toLink(page) {
+  return {
+    title: page.menuTitle ?? page.title ?? page.route,
+    route: page.route,
+  };
+}
@@ -0,0 +1,82 @@
+// src/core/plugin-loader.js
+import { createRequire } from "node:module";
+import { isAbsolute, join, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { createError } from "./utils.js";
+
+/**
+ * Resolves a list of plugin specs into plugin instances. A spec is either
+ * a plugin instance, which is kept as is, or a module to load:
+ *
+ * - "package-name" or "./local/plugin.js"
+ * - ["package-name", { ...options }]
+ *
+ * Modules are resolved from `rootDir` and must export the plugin, as a
+ * class or a factory function taking the options, by default. Without a
+ * default export, the module's only function export is used.
+ *
+ * @example
+ * // uniweb.config.js
+ * export const plugins = [
+ *   "@acme/collector-reading-time",
+ *   ["@acme/collector-search", { languages: ["en", "fr"] }],
+ *   ["./plugins/my-plugin.js", { name: "mine" }],
+ * ];
+ *
+ * @param {Array} specs
+ * @param {Object} options
+ * @param {string} options.rootDir - Directory to resolve modules from
+ * @returns {Promise<Array>} Plugin instances, in the same order
+ */
+export async function loadPlugins(specs, { rootDir }) {
+  return Promise.all(specs.map((spec) => loadPlugin(spec, rootDir)));
+}
+
+export async function loadPlugin(spec, rootDir) {
+  const [id, options = {}] = Array.isArray(spec) ? spec : [spec];
+
+  // Already an instance (collector or webpack plugin)
+  if (typeof id !== "string") {
+    if (Array.isArray(spec)) {
+      throw new Error("Plugin specs of the form [name, options] need a name");
+    }
+    return spec;
+  }
+
+  try {
+    const module = await import(pathToFileURL(resolvePlugin(id, rootDir)));
+    const factory = pickExport(module);
+
+    if (!factory) {
+      throw new Error("The module has no default plugin export");
+    }
+
+    return isClass(factory) ? new factory(options) : await factory(options);
+  } catch (err) {
+    throw createError(`Failed to load collector plugin "${id}"`, {
+      cause: err,
+    });
+  }
+}
+
+function resolvePlugin(id, rootDir) {
+  if (isAbsolute(id)) return id;
+  if (id.startsWith(".")) return resolve(rootDir, id);
+
+  // Resolve packages as the project would, which also works with Yarn PnP
+  const require = createRequire(join(rootDir, "package.json"));
+  return require.resolve(id);
+}
+
+function pickExport(module) {
+  if (module.default) return module.default;
+
+  const functions = Object.values(module).filter(
+    (value) => typeof value === "function"
+  );
+  return functions.length === 1 ? functions[0] : null;
+}
+
+function isClass(fn) {
+  return /^class[\s{]/.test(Function.prototype.toString.call(fn));
+}
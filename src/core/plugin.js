@@ -1,22 +1,47 @@
 // src/core/plugin.js
+import { CODES } from "./diagnostics.js";
 
 export class CollectorPlugin {
+  // Subclasses should declare a stable name, since class names do not
+  // survive minification, along with any ordering constraints they need
+  static pluginName = null;
+  static dependsOn = []; // Required plugins that must run first
+  static after = []; // Optional plugins that must run first if present
+  static before = []; // Optional plugins that must run later if present
+
   constructor(options = {}) {
     this.options = options;
+
+    // Options override the class defaults, e.g. to register two instances
+    // of the same plugin under different names
+    const defaults = this.constructor;
+    this.name = options.name ?? defaults.pluginName ?? defaults.name;
+    this.dependsOn = options.dependsOn ?? defaults.dependsOn;
+    this.after = options.after ?? defaults.after;
+    this.before = options.before ?? defaults.before;
   }
 
   // Lifecycle hooks
   async beforeCollect(context) {}
-  async afterCollect(context) {}
-
-  // Error handling
-  /*protected*/ addError(context, error) {
-    const errorObj = error instanceof Error ? error : new Error(error);
-    context.errors.push({
-      plugin: this.constructor.name,
-      message: errorObj.message,
-      stack:
-        process.env.NODE_ENV === "development" ? errorObj.stack : undefined,
+  async afterCollect(context, output) {}
+
+  // Error handling. The details may set a `code`, `file`, `line`, `column`
+  // or `page` for the diagnostic.
+  /*protected*/ addError(context, error, details = {}) {
+    context.diagnostics.fromError(error, {
+      code: CODES.PLUGIN_ERROR,
+      file: context.currentSection,
+      ...details,
+      plugin: this.name,
+    });
+  }
+
+  /*protected*/ addWarning(context, message, details = {}) {
+    const { code = CODES.PLUGIN_WARNING, ...rest } = details;
+    context.diagnostics.warning(code, message, {
+      file: context.currentSection,
+      ...rest,
+      plugin: this.name,
     });
   }
 }
@@ -48,7 +73,20 @@ export class LoaderPlugin extends CollectorPlugin {
   }
 }
 
+// Transform hooks return the new value, undefined to keep the current one,
+// or null to drop a page or section from the output
 export class TransformerPlugin extends CollectorPlugin {
+  // Called for each section, after its subsections
+  async transformSection(section, context) {
+    return section;
+  }
+
+  // Called for each page, after its sections and subpages
+  async transformPage(page, context) {
+    return page;
+  }
+
+  // Called once with the whole output, after all pages are processed
   async transform(data, context) {
     return data;
   }
@@ -57,42 +95,111 @@ export class TransformerPlugin extends CollectorPlugin {
 // Plugin registry to manage plugin dependencies and ordering
 export class PluginRegistry {
   #plugins = new Map();
-  #dependencies = new Map();
-
+  #ordered = null;
+
+  /**
+   * Registers a plugin under its `name`. The plugin may declare `dependsOn`,
+   * `after` and `before` lists of plugin names to constrain its position.
+   *
+   * @param {Object} plugin
+   * @param {string[]} [dependencies] - Extra required plugin names
+   * @throws {Error} If the name is missing or already registered
+   */
   register(plugin, dependencies = []) {
-    const name = plugin.constructor.name;
-    this.#plugins.set(name, plugin);
-    this.#dependencies.set(name, dependencies);
+    const name = getPluginName(plugin);
+
+    if (!name || typeof name !== "string") {
+      throw new Error("Collector plugins must have a name");
+    }
+
+    if (this.#plugins.has(name)) {
+      throw new Error(
+        `A plugin named "${name}" is already registered. ` +
+          "Pass a distinct `name` option to register another instance."
+      );
+    }
+
+    this.#plugins.set(name, {
+      plugin,
+      dependsOn: [...(plugin.dependsOn ?? []), ...dependencies],
+      after: plugin.after ?? [],
+      before: plugin.before ?? [],
+    });
+
+    this.#ordered = null;
     return this;
   }
 
   get(name) {
-    return this.#plugins.get(name);
+    return this.#plugins.get(name)?.plugin;
+  }
+
+  has(name) {
+    return this.#plugins.has(name);
   }
 
+  /**
+   * Returns the plugins sorted so that every plugin comes after its
+   * dependencies and `after` plugins, and before its `before` plugins.
+   * Registration order is kept otherwise.
+   *
+   * @throws {Error} On missing dependencies or ordering cycles
+   */
   getOrderedPlugins() {
+    if (this.#ordered) return this.#ordered;
+
+    // Map each plugin to the names that must run before it
+    const predecessors = new Map();
+    for (const name of this.#plugins.keys()) predecessors.set(name, []);
+
+    for (const [name, entry] of this.#plugins) {
+      for (const dep of entry.dependsOn) {
+        if (!this.#plugins.has(dep)) {
+          throw new Error(`Missing plugin dependency: ${name} requires ${dep}`);
+        }
+        predecessors.get(name).push(dep);
+      }
+
+      for (const dep of entry.after) {
+        if (this.#plugins.has(dep)) predecessors.get(name).push(dep);
+      }
+
+      for (const dep of entry.before) {
+        if (this.#plugins.has(dep)) predecessors.get(dep).push(name);
+      }
+    }
+
     const visited = new Set();
+    const path = [];
     const result = [];
 
     const visit = (name) => {
       if (visited.has(name)) return;
-      visited.add(name);
 
-      const dependencies = this.#dependencies.get(name) || [];
-      for (const dep of dependencies) {
-        if (!this.#plugins.has(dep)) {
-          throw new Error(`Missing plugin dependency: ${dep}`);
-        }
-        visit(dep);
+      const index = path.indexOf(name);
+      if (index !== -1) {
+        const cycle = [...path.slice(index), name].join(" -> ");
+        throw new Error(`Circular dependency between plugins: ${cycle}`);
       }
 
-      result.push(this.#plugins.get(name));
+      path.push(name);
+      for (const dep of predecessors.get(name)) visit(dep);
+      path.pop();
+
+      visited.add(name);
+      result.push(this.#plugins.get(name).plugin);
     };
 
     for (const name of this.#plugins.keys()) {
       visit(name);
     }
 
+    this.#ordered = result;
     return result;
   }
 }
+
+// Plain objects with hooks are accepted too, so fall back to the class name
+function getPluginName(plugin) {
+  return plugin.name ?? plugin.constructor?.name;
+}
@@ -0,0 +1,232 @@
+// src/core/prerender.js
+import { resolveMeta } from "./meta.js";
+
+// ProseMirror nodes rendered as HTML blocks. Other nodes only render their
+// content, and nodes without text, such as images, render nothing.
+const BLOCKS = {
+  paragraph: "p",
+  blockquote: "blockquote",
+  bulletList: "ul",
+  orderedList: "ol",
+  listItem: "li",
+  codeBlock: "pre",
+  table: "table",
+  tableRow: "tr",
+  tableHeader: "th",
+  tableCell: "td",
+};
+
+/**
+ * Renders every route of a collected site to static HTML, so that crawlers
+ * see the content of a page without running the site's scripts. Each page
+ * is the built HTML template with the page's resolved `meta` (its title,
+ * description, canonical URL and link preview tags) in its `<head>`, and
+ * a text-only rendering of its sections inside the root
+ * element, which the site replaces when it starts. Without a root element,
+ * the text goes in a `<noscript>` at the start of the body.
+ *
+ * @param {Object} content - Collector output
+ * @param {Object} options
+ * @param {string} options.template - HTML of the built index.html
+ * @param {string} [options.rootId="root"] - Id of the element the site
+ *   renders into
+ * @returns {Array<{route: string, filename: string, source: string}>}
+ */
+export function prerenderSite(content, { template, rootId = "root" }) {
+  const site = content.config ?? {};
+  const defaultLocale = content.locale ?? site.defaultLanguage;
+  const trees = [
+    [defaultLocale, content.pages ?? []],
+    ...Object.entries(content.translations ?? {}).map(([locale, { pages }]) => [
+      locale,
+      pages ?? [],
+    ]),
+  ];
+
+  const files = [];
+
+  const visit = (pages, lang, parent) => {
+    for (const page of pages) {
+      // Generated listing pages show the sections of their collection page
+      const rendered =
+        page.generated && parent
+          ? { ...page, sections: parent.sections }
+          : page;
+
+      files.push({
+        route: page.route,
+        filename: getFilename(page.route),
+        source: fillTemplate(template, {
+          lang,
+          meta: page.meta ?? resolveMeta(page, site, { locale: lang }),
+          body: renderPage(rendered),
+          rootId,
+        }),
+      });
+      visit(page.subpages ?? [], lang, page);
+    }
+  };
+
+  for (const [lang, pages] of trees) visit(pages, lang);
+  return files;
+}
+
+/**
+ * Renders the sections of a page, and the items of a collection listing,
+ * as HTML with text, headings, lists and links only.
+ *
+ * @param {Object} page - Collected page
+ * @returns {string}
+ */
+export function renderPage(page) {
+  const parts = (page.sections ?? []).map(renderSection);
+
+  if (page.listing?.items.length) {
+    const items = page.listing.items.map(
+      (item) =>
+        `<li><a href="${escapeHtml(item.route)}">${escapeHtml(
+          item.title ?? item.route
+        )}</a>${item.excerpt ? `<p>${escapeHtml(item.excerpt)}</p>` : ""}</li>`
+    );
+    const links = [
+      page.listing.prev && `<a href="${escapeHtml(page.listing.prev)}">‹</a>`,
+      page.listing.next && `<a href="${escapeHtml(page.listing.next)}">›</a>`,
+    ].filter(Boolean);
+
+    parts.push(`<ul>${items.join("")}</ul>`);
+    if (links.length) parts.push(`<nav>${links.join(" ")}</nav>`);
+  }
+
+  if (page.taxonomy?.terms) {
+    const terms = page.taxonomy.terms.map(
+      ({ term, route }) =>
+        `<li><a href="${escapeHtml(route)}">${escapeHtml(term)}</a></li>`
+    );
+    parts.push(`<ul>${terms.join("")}</ul>`);
+  }
+
+  return `<main>${parts.join("")}</main>`;
+}
+
+function renderSection(section) {
+  const content = renderNode(section.content);
+  const subsections = (section.subsections ?? []).map(renderSection);
+  return `<section>${content}${subsections.join("")}</section>`;
+}
+
+function renderNode(node) {
+  if (!node || typeof node !== "object") return "";
+  if (node.type === "text") return renderText(node);
+  if (node.type === "hardBreak") return "<br>";
+
+  const children = (node.content ?? []).map(renderNode).join("");
+
+  if (node.type === "heading") {
+    const level = Math.min(6, Math.max(1, Number(node.attrs?.level) || 1));
+    return `<h${level}>${children}</h${level}>`;
+  }
+
+  const tag = BLOCKS[node.type];
+  return tag ? `<${tag}>${children}</${tag}>` : children;
+}
+
+function renderText(node) {
+  const text = escapeHtml(node.text ?? "");
+  const link = node.marks?.find((mark) => mark.type === "link");
+  return link?.attrs?.href
+    ? `<a href="${escapeHtml(link.attrs.href)}">${text}</a>`
+    : text;
+}
+
+/**
+ * Sets the language, head tags and body of an HTML document.
+ */
+function fillTemplate(template, { lang, meta, body, rootId }) {
+  let html = template;
+
+  if (lang) {
+    html = /<html[^>]*\slang=/i.test(html)
+      ? html.replace(
+          /(<html[^>]*\slang=)(["'])[^"']*\2/i,
+          (_, start, quote) => `${start}${quote}${escapeHtml(lang)}${quote}`
+        )
+      : html.replace(/<html/i, () => `<html lang="${escapeHtml(lang)}"`);
+  }
+
+  const head = [];
+
+  if (meta.title) {
+    const tag = `<title>${escapeHtml(meta.title)}</title>`;
+    if (/<title[^>]*>[\s\S]*?<\/title>/i.test(html)) {
+      html = html.replace(/<title[^>]*>[\s\S]*?<\/title>/i, () => tag);
+    } else {
+      head.push(tag);
+    }
+  }
+
+  if (meta.description) {
+    html = html.replace(/<meta\s+name=["']description["'][^>]*>\s*/gi, "");
+    head.push(metaTag("name", "description", meta.description));
+  }
+
+  if (meta.canonical) {
+    head.push(`<link rel="canonical" href="${escapeHtml(meta.canonical)}" />`);
+  }
+  if (meta.noindex) head.push(metaTag("name", "robots", "noindex"));
+
+  const openGraph = {
+    "og:type": meta.type,
+    "og:title": meta.title,
+    "og:description": meta.description,
+    "og:url": meta.canonical,
+    "og:image": meta.image,
+    "og:site_name": meta.siteName,
+  };
+  for (const [property, value] of Object.entries(openGraph)) {
+    if (value) head.push(metaTag("property", property, value));
+  }
+
+  if (meta.image || meta.twitter) {
+    const card = meta.image ? "summary_large_image" : "summary";
+    head.push(metaTag("name", "twitter:card", card));
+    if (meta.twitter) head.push(metaTag("name", "twitter:site", meta.twitter));
+  }
+
+  if (head.length) {
+    html = html.replace(/<\/head>/i, (end) => `${head.join("\n")}\n${end}`);
+  }
+
+  const root = new RegExp(
+    `<[a-z][\\w-]*[^>]*\\sid=["']${escapeRegExp(rootId)}["'][^>]*>`,
+    "i"
+  );
+
+  return root.test(html)
+    ? html.replace(root, (tag) => tag + body)
+    : html.replace(
+        /<body[^>]*>/i,
+        (tag) => `${tag}<noscript>${body}</noscript>`
+      );
+}
+
+function metaTag(attribute, name, content) {
+  return `<meta ${attribute}="${name}" content="${escapeHtml(content)}" />`;
+}
+
+// "/" is written to index.html, and "/about" to about/index.html
+function getFilename(route) {
+  const path = route.replace(/^\/+|\/+$/g, "");
+  return path ? `${path}/index.html` : "index.html";
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
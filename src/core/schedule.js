@@ -0,0 +1,94 @@
+// src/core/schedule.js
+import { CODES } from "./diagnostics.js";
+
+/**
+ * Decides whether pages and sections are published, from their `draft`,
+ * `publishAt` and `expireAt` fields, and remembers the next time at which
+ * the result of a collection would change.
+ *
+ * - `draft: true` content is only included when drafts are enabled
+ * - `publishAt` content is excluded until that time
+ * - `expireAt` content is excluded from that time on
+ *
+ * Dates may be Date objects (as parsed from YAML or TOML), ISO strings or
+ * timestamps. Invalid dates are reported as warnings and ignored.
+ */
+export class Schedule {
+  #now;
+  #drafts;
+  #diagnostics;
+  #nextChange = null;
+
+  /**
+   * @param {Object} [options]
+   * @param {Date|string|number} [options.now] - Time to evaluate dates at
+   * @param {boolean} [options.drafts=false] - Whether to include drafts
+   * @param {Diagnostics} [options.diagnostics] - Receives invalid dates
+   */
+  constructor({ now = Date.now(), drafts = false, diagnostics } = {}) {
+    this.#now = new Date(now);
+    this.#drafts = drafts;
+    this.#diagnostics = diagnostics;
+
+    if (Number.isNaN(this.#now.getTime())) {
+      throw new Error(`Invalid "now" option: ${now}`);
+    }
+  }
+
+  get now() {
+    return new Date(this.#now);
+  }
+
+  /**
+   * The earliest `publishAt` or `expireAt` after now, among the content
+   * evaluated so far, or null if nothing is scheduled.
+   */
+  get nextChange() {
+    return this.#nextChange && new Date(this.#nextChange);
+  }
+
+  /**
+   * @param {Object} fields - Page config or section front matter
+   * @param {Object} [details] - Diagnostic details, e.g. `{ file }`
+   * @returns {boolean}
+   */
+  isPublished({ draft, publishAt, expireAt }, details = {}) {
+    if (draft && !this.#drafts) return false;
+
+    const publish = this.#toDate("publishAt", publishAt, details);
+    const expire = this.#toDate("expireAt", expireAt, details);
+
+    if (publish && publish > this.#now) {
+      this.#schedule(publish);
+      return false;
+    }
+
+    if (expire) {
+      if (expire <= this.#now) return false;
+      this.#schedule(expire);
+    }
+
+    return true;
+  }
+
+  #schedule(date) {
+    if (!this.#nextChange || date < this.#nextChange) this.#nextChange = date;
+  }
+
+  #toDate(field, value, details) {
+    if (value === undefined || value === null || value === "") return null;
+
+    const date = new Date(value instanceof Date ? value.getTime() : value);
+
+    if (Number.isNaN(date.getTime())) {
+      this.#diagnostics?.warning(
+        CODES.SCHEDULE_INVALID,
+        `Invalid ${field} date: ${value}`,
+        details
+      );
+      return null;
+    }
+
+    return date;
+  }
+}
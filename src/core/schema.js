@@ -0,0 +1,124 @@
+// src/core/schema.js
+
+/**
+ * Validates a value against a schema written in a subset of JSON Schema,
+ * which is enough to describe the YAML files of a site:
+ *
+ * - type: "string", "number", "integer", "boolean", "object", "array",
+ *   "null", or a list of them
+ * - enum: allowed values
+ * - minimum, maximum: bounds of numbers
+ * - minLength, maxLength, pattern: constraints on strings
+ * - properties, required, additionalProperties: fields of objects
+ * - items, minItems, maxItems: elements of arrays
+ *
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Location of the value, used in messages
+ * @returns {{path: string, message: string}[]} The problems found, if any
+ */
+export function validateSchema(value, schema, path = "") {
+  const problems = [];
+  const report = (message) =>
+    problems.push({ path, message: `${path || "Value"} ${message}` });
+
+  if (!schema || typeof schema !== "object") return problems;
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => hasType(value, type))) {
+      report(`must be ${types.map(withArticle).join(" or ")}`);
+      return problems;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(`must be one of ${schema.enum.map(JSON.stringify).join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report(`must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      report(`must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      report(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        problems.push(
+          ...validateSchema(item, schema.items, `${path}[${index}]`)
+        );
+      });
+    }
+  } else if (hasType(value, "object")) {
+    const properties = schema.properties ?? {};
+    const join = (key) => (path ? `${path}.${key}` : key);
+
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {
+        problems.push({ path: join(key), message: `${join(key)} is required` });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        problems.push(...validateSchema(item, properties[key], join(key)));
+      } else if (schema.additionalProperties === false) {
+        problems.push({
+          path: join(key),
+          message: `${join(key)} is not an allowed field`,
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        problems.push(
+          ...validateSchema(item, schema.additionalProperties, join(key))
+        );
+      }
+    }
+  }
+
+  return problems;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "null":
+      return value === null;
+    case "object":
+      return (
+        typeof value === "object" && value !== null && !Array.isArray(value)
+      );
+    default:
+      return typeof value === type;
+  }
+}
+
+function withArticle(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
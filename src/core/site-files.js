@@ -0,0 +1,309 @@
+// src/core/site-files.js
+import { getCollectionItems } from "./collections.js";
+
+const FEED_FORMATS = {
+  rss: { filename: "rss.xml", build: buildRss },
+  atom: { filename: "atom.xml", build: buildAtom },
+};
+
+/**
+ * Builds the files that describe a collected site to crawlers and feed
+ * readers: `sitemap.xml`, `robots.txt`, and RSS and Atom feeds of the
+ * collection pages (`news/rss.xml`, `news/atom.xml`).
+ *
+ * Hidden pages are not in the collected content, and pages kept as drafts
+ * (in development), or with `noindex: true` or `sitemap: false` in their
+ * page.yml, are left out. Absolute URLs need a base URL, from the options
+ * or the `url` of site.yml.
+ *
+ * @param {Object} content - Collector output
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl]
+ * @param {boolean} [options.sitemap]
+ * @param {boolean} [options.robots]
+ * @param {boolean|Object} [options.feeds] - `{ formats, limit }`, by
+ *   default `{ formats: ["rss", "atom"], limit: 20 }`
+ * @returns {{files: Array<{filename: string, source: string}>, warnings: string[]}}
+ */
+export function buildSiteFiles(content, options = {}) {
+  const site = content.config ?? {};
+  const baseUrl = (options.baseUrl ?? site.url ?? "").replace(/\/+$/, "");
+  const files = [];
+  const warnings = [];
+  const pages = listPages(content);
+
+  const needsUrl = options.sitemap || options.feeds;
+  if (needsUrl && !baseUrl) {
+    warnings.push(
+      "sitemap.xml and feeds need absolute URLs: set `url` in site.yml or the `baseUrl` option"
+    );
+  }
+
+  const hasSitemap = Boolean(options.sitemap && baseUrl);
+
+  if (hasSitemap) {
+    files.push({
+      filename: "sitemap.xml",
+      source: buildSitemap(pages, baseUrl),
+    });
+  }
+
+  if (options.robots) {
+    files.push({
+      filename: "robots.txt",
+      source: buildRobots(site, hasSitemap && `${baseUrl}/sitemap.xml`),
+    });
+  }
+
+  if (options.feeds && baseUrl) {
+    const { formats = ["rss", "atom"], limit = 20 } =
+      typeof options.feeds === "object" ? options.feeds : {};
+
+    for (const page of pages) {
+      if (!page.collection || page.collection.feed === false) continue;
+
+      const feed = {
+        site,
+        page,
+        baseUrl,
+        items: getFeedItems(page).slice(0, limit),
+      };
+
+      for (const format of formats) {
+        const { filename, build } = FEED_FORMATS[format] ?? {};
+        if (!build) {
+          warnings.push(`Unknown feed format "${format}"`);
+          continue;
+        }
+
+        const path = joinRoute(page.route, filename).slice(1);
+        files.push({
+          filename: path,
+          source: build({ ...feed, self: `${baseUrl}/${path}` }),
+        });
+      }
+    }
+  }
+
+  return { files, warnings };
+}
+
+/**
+ * Lists the indexable pages of every locale, depth first.
+ */
+function listPages(content) {
+  const trees = [
+    content.pages ?? [],
+    ...Object.values(content.translations ?? {}).map(({ pages }) => pages),
+  ];
+  const pages = [];
+
+  const visit = (list) => {
+    for (const page of list) {
+      if (page.draft || page.noindex || page.meta?.noindex) continue;
+      if (page.sitemap === false) continue;
+      pages.push(page);
+      visit(page.subpages ?? []);
+    }
+  };
+
+  trees.forEach(visit);
+  return pages;
+}
+
+function buildSitemap(pages, baseUrl) {
+  const urls = pages.map((page) => {
+    const lastmod = getLastmod(page);
+    const alternates = (page.alternates ?? []).map(
+      ({ locale, route }) =>
+        `    <xhtml:link rel="alternate" hreflang="${escapeXml(
+          locale
+        )}" href="${escapeXml(baseUrl + route)}"/>`
+    );
+
+    return [
+      "  <url>",
+      `    <loc>${escapeXml(baseUrl + page.route)}</loc>`,
+      ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+      ...(alternates.length > 1 ? alternates : []),
+      "  </url>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Builds robots.txt from the `robots` settings of site.yml:
+ *
+ *   robots:
+ *     disallow: [/drafts]
+ *
+ * or a list of `rules`, each with a `userAgent` and `allow`/`disallow`
+ * paths. `robots: false` or `noindex: true` disallows everything.
+ */
+function buildRobots(site, sitemapUrl) {
+  const settings = site.robots ?? {};
+  const blockAll = settings === false || site.noindex === true;
+  const rules = blockAll ? [{ disallow: ["/"] }] : settings.rules ?? [settings];
+
+  const lines = [];
+
+  for (const rule of rules) {
+    if (lines.length) lines.push("");
+    lines.push(`User-agent: ${rule.userAgent ?? "*"}`);
+
+    const allow = toList(rule.allow);
+    const disallow = toList(rule.disallow);
+
+    allow.forEach((path) => lines.push(`Allow: ${path}`));
+    disallow.forEach((path) => lines.push(`Disallow: ${path}`));
+    if (!allow.length && !disallow.length) lines.push("Disallow:");
+  }
+
+  if (sitemapUrl) lines.push("", `Sitemap: ${sitemapUrl}`);
+
+  return lines.join("\n") + "\n";
+}
+
+function getFeedItems(page) {
+  const drafts = new Set(
+    (page.subpages ?? [])
+      .filter((child) => child.draft || child.noindex)
+      .map((child) => child.route)
+  );
+
+  // Newest first, whatever the order of the listing
+  const time = (item) => toDate(item.date)?.getTime() ?? -Infinity;
+  return getCollectionItems(page)
+    .filter((item) => !drafts.has(item.route))
+    .sort((a, b) => time(b) - time(a));
+}
+
+function buildRss({ site, page, baseUrl, items, self }) {
+  const entries = items.map((item) => {
+    const link = escapeXml(baseUrl + item.route);
+    const date = toDate(item.date);
+
+    return [
+      "    <item>",
+      `      <title>${escapeXml(item.title ?? item.route)}</title>`,
+      `      <link>${link}</link>`,
+      `      <guid isPermaLink="true">${link}</guid>`,
+      ...(date ? [`      <pubDate>${date.toUTCString()}</pubDate>`] : []),
+      ...(item.excerpt
+        ? [`      <description>${escapeXml(item.excerpt)}</description>`]
+        : []),
+      "    </item>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeXml(getFeedTitle(site, page))}</title>`,
+    `    <link>${escapeXml(baseUrl + page.route)}</link>`,
+    `    <description>${escapeXml(
+      page.description ?? getFeedTitle(site, page)
+    )}</description>`,
+    `    <atom:link href="${escapeXml(
+      self
+    )}" rel="self" type="application/rss+xml"/>`,
+    ...entries,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+function buildAtom({ site, page, baseUrl, items, self }) {
+  const pageUrl = escapeXml(baseUrl + page.route);
+  const dates = items.map((item) => toDate(item.date)).filter(Boolean);
+  const updated =
+    dates.sort((a, b) => b - a)[0] ?? toDate(page.lastModified) ?? new Date(0);
+
+  const entries = items.map((item) => {
+    const link = escapeXml(baseUrl + item.route);
+    const date = toDate(item.date) ?? updated;
+
+    return [
+      "  <entry>",
+      `    <title>${escapeXml(item.title ?? item.route)}</title>`,
+      `    <link href="${link}"/>`,
+      `    <id>${link}</id>`,
+      `    <updated>${date.toISOString()}</updated>`,
+      ...(item.excerpt
+        ? [`    <summary>${escapeXml(item.excerpt)}</summary>`]
+        : []),
+      "  </entry>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(getFeedTitle(site, page))}</title>`,
+    `  <link href="${pageUrl}"/>`,
+    `  <link rel="self" href="${escapeXml(self)}"/>`,
+    `  <id>${pageUrl}</id>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+function getFeedTitle(site, page) {
+  const siteName = site.name ?? site.title;
+  const title = page.title ?? page.route;
+  return siteName && siteName !== title ? `${siteName} - ${title}` : title;
+}
+
+/**
+ * Returns the lastmod date of a page: a `lastmod` or `updated` date from
+ * its page.yml or its sections' front matter, or the mtime of its files.
+ */
+function getLastmod(page) {
+  const dates = [page.lastmod, page.updated];
+  for (const section of page.sections ?? []) {
+    dates.push(section.params?.lastmod, section.params?.updated);
+  }
+
+  const declared = dates
+    .map(toDate)
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0];
+
+  return (declared ?? toDate(page.lastModified))?.toISOString();
+}
+
+function toDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value instanceof Date ? value.getTime() : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function joinRoute(route, path) {
+  return `${route === "/" ? "" : route}/${path}`;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
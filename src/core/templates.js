@@ -0,0 +1,39 @@
+// src/core/templates.js
+
+// Fields of a template page's page.yml that describe the template page
+// itself, rather than the pages that extend it
+const OWN_FIELDS = [
+  "hidden",
+  "draft",
+  "publishAt",
+  "expireAt",
+  "order",
+  "weight",
+];
+
+export function omitTemplateFields(config) {
+  const metadata = { ...config };
+  for (const field of OWN_FIELDS) delete metadata[field];
+  return metadata;
+}
+
+/**
+ * Merges the sections of a page over those of its template. A section
+ * replaces the template section with the same id, subsections included,
+ * and the result is ordered by id, e.g. "1", "2", "10".
+ *
+ * @param {Object[]} base - Template sections
+ * @param {Object[]} sections - Sections of the extending page
+ * @returns {Object[]}
+ */
+export function mergeSections(base, sections) {
+  const byId = new Map(base.map((section) => [section.id, section]));
+
+  for (const section of sections) {
+    byId.set(section.id, section);
+  }
+
+  return [...byId.values()].sort((a, b) =>
+    String(a.id).localeCompare(String(b.id), undefined, { numeric: true })
+  );
+}
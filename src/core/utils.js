@@ -40,12 +40,128 @@ export function compareFilenames(a, b) {
   });
 }
 
+/**
+ * Returns the sort key of a page: the `order` (or `weight`) number of its
+ * page.yml if set, or else the numeric prefix of its folder name, e.g.
+ * "2.1-team" gives [2, 1]. Returns null for unordered pages.
+ *
+ * @param {string} folderName
+ * @param {Object} [config] - The page's metadata
+ * @returns {number[]|null}
+ */
+export function getPageOrder(folderName, config = {}) {
+  const explicit = config.order ?? config.weight;
+  if (typeof explicit === "number" && Number.isFinite(explicit)) {
+    return [explicit];
+  }
+
+  const { prefix } = parseNumericPrefix(folderName);
+  return prefix ? prefix.split(".").map(Number) : null;
+}
+
+/**
+ * Compares two pages given as `{ name, order }`, where `order` comes from
+ * getPageOrder(). Ordered pages come first, and ties are broken by folder
+ * name, so the result does not depend on the filesystem.
+ */
+export function comparePages(a, b) {
+  if (a.order && b.order) {
+    const length = Math.max(a.order.length, b.order.length);
+    for (let i = 0; i < length; i++) {
+      const diff = (a.order[i] ?? -Infinity) - (b.order[i] ?? -Infinity);
+      if (diff) return diff;
+    }
+  } else if (a.order) {
+    return -1;
+  } else if (b.order) {
+    return 1;
+  }
+
+  return compareFilenames(a.name, b.name);
+}
+
+/**
+ * Removes the numeric ordering prefix of each segment of a route, e.g.
+ * "1-about/2-team" becomes "about/team".
+ */
+export function stripNumericPrefixes(route) {
+  return route
+    .split("/")
+    .map((segment) => parseNumericPrefix(segment).name)
+    .join("/");
+}
+
+/**
+ * Deeply merges `override` into `base`, returning a new object. Nested
+ * plain objects are merged, while arrays and other values replace those of
+ * `base`. Undefined values in `override` are ignored.
+ */
+export function mergeConfig(base = {}, override = {}) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined) continue;
+    result[key] =
+      isPlainObject(value) && isPlainObject(result[key])
+        ? mergeConfig(result[key], value)
+        : value;
+  }
+
+  return result;
+}
+
+function isPlainObject(value) {
+  if (typeof value !== "object" || value === null) return false;
+
+  // Also true for objects of other realms, e.g. from structuredClone()
+  const proto = Object.getPrototypeOf(value);
+  return proto === null || Object.getPrototypeOf(proto) === null;
+}
+
 export function createError(message, details = {}) {
   const error = new Error(message);
   Object.assign(error, details);
   return error;
 }
 
+/**
+ * Returns a function that runs async tasks with at most `concurrency` of
+ * them in flight, queueing the rest in call order. Tasks must not wait on
+ * other tasks of the same limiter, or they may deadlock.
+ *
+ * @param {number} concurrency
+ * @returns {function(Function): Promise<*>}
+ */
+export function createLimiter(concurrency) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency: ${concurrency}`);
+  }
+
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || !queue.length) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
 export class Cache {
   #store = new Map();
   #timeouts = new Map();
@@ -106,3 +222,53 @@ export function isMarkdownFile(filename) {
 export function isSidecarFile(filename) {
   return getExtension(filename) === ".yml";
 }
+
+// URLs with a scheme, and protocol-relative ones, point outside of the site
+export const EXTERNAL_URL = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i;
+
+// Length of the excerpts of collection items and search results
+export const EXCERPT_LENGTH = 160;
+
+/**
+ * Returns the text of a ProseMirror node and of its descendants.
+ */
+export function getText(node) {
+  if (node.type === "text") return node.text ?? "";
+  return (node.content ?? []).map(getText).join("");
+}
+
+/**
+ * Cuts a text after the last whole word that fits in `length` characters,
+ * and marks the cut with an ellipsis.
+ */
+export function truncate(text, length = EXCERPT_LENGTH) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length);
+  return cut.slice(0, cut.lastIndexOf(" ") + 1 || length).trim() + "…";
+}
+
+/**
+ * Returns `pick(node)` for the first ProseMirror node of the sections and
+ * their subsections that matches, in document order, skipping the nodes
+ * for which `pick` returns undefined.
+ */
+export function findNode(sections, match, pick) {
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return undefined;
+    if (match(node)) return pick(node);
+    for (const child of node.content ?? []) {
+      const found = visit(child);
+      if (found !== undefined) return found;
+    }
+    return undefined;
+  };
+
+  for (const section of sections) {
+    const found =
+      visit(section.content) ??
+      findNode(section.subsections ?? [], match, pick);
+    if (found !== undefined) return found;
+  }
+
+  return undefined;
+}
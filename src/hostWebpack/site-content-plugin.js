@@ -1,6 +1,9 @@
 // src/webpack/plugin.js
-import { collectSiteContent } from "../setup.js";
-import { resolve } from "path";
+import { createCollector } from "../setup.js";
+import { CollectionError, formatDiagnostic } from "../core/diagnostics.js";
+import { buildSiteFiles } from "../core/site-files.js";
+import { prerenderSite } from "../core/prerender.js";
+import { posix, resolve } from "path";
 import { watch } from "fs";
 
 class SiteContentPlugin {
@@ -12,7 +15,21 @@ class SiteContentPlugin {
     this.filename = options.filename ?? "site-content.json";
     this.injectFormat = options.injectFormat ?? "json"; // 'script' or 'json'
     this.plugins = options.plugins; // custom user plugins
+    this.preset = options.preset; // built-in plugin preset
+    this.searchIndex = options.searchIndex; // search index plugin options
+    this.imageMeta = options.imageMeta; // e.g. { responsive: true }
+    // sitemap.xml, robots.txt and collection feeds, at the output root
+    this.siteFiles = {
+      baseUrl: options.baseUrl, // defaults to the url of site.yml
+      sitemap: options.sitemap ?? false,
+      robots: options.robots ?? false,
+      feeds: options.feeds ?? false, // true or { formats, limit }
+    };
+    this.prerender = options.prerender ?? false; // true or { template, rootId }
+    this.strict = options.strict ?? false; // fail the build on content errors
     this.watching = false;
+    this.collector = null;
+    this.collectionError = null;
   }
 
   getInjectionContent() {
@@ -37,8 +54,27 @@ class SiteContentPlugin {
       async (params, callback) => {
         try {
           const sourcePath = resolve(compiler.context, this.sourcePath);
-          const options = { plugins: this.plugins };
-          this.siteContent = await collectSiteContent(sourcePath, options);
+          // Keep one collector across rebuilds so that its file cache lets
+          // a re-collect skip the files that did not change
+          this.collector ??= createCollector({
+            plugins: this.plugins,
+            preset: this.preset,
+            strict: this.strict,
+            searchIndex: this.searchIndex,
+            imageMeta: this.imageMeta,
+            baseUrl: this.siteFiles.baseUrl,
+          });
+
+          try {
+            this.siteContent = await this.collector.collect(sourcePath);
+            this.collectionError = null;
+          } catch (err) {
+            if (!(err instanceof CollectionError)) throw err;
+            // Reported as compilation errors below
+            this.siteContent = null;
+            this.collectionError = err;
+          }
+
           callback();
         } catch (err) {
           callback(err);
@@ -46,6 +82,27 @@ class SiteContentPlugin {
       }
     );
 
+    // Surface content problems in the compilation stats. In strict mode,
+    // errors fail the build so that broken content never ships.
+    compiler.hooks.thisCompilation.tap(pluginName, (compilation) => {
+      const { WebpackError } = compiler.webpack;
+      const report = (list, message) =>
+        list.push(new WebpackError(`[${pluginName}] ${message}`));
+
+      if (this.collectionError) {
+        for (const error of this.collectionError.errors) {
+          report(compilation.errors, error.message);
+        }
+        return;
+      }
+
+      for (const diagnostic of this.siteContent?.diagnostics ?? []) {
+        if (diagnostic.severity !== "info") {
+          report(compilation.warnings, formatDiagnostic(diagnostic));
+        }
+      }
+    });
+
     // Register the HTML modification hook
     if (this.injectToHtml) {
       compiler.hooks.compilation.tap(pluginName, (compilation) => {
@@ -56,6 +113,7 @@ class SiteContentPlugin {
 
         if (hooks) {
           hooks.beforeEmit.tapAsync(pluginName, (data, cb) => {
+            if (!this.siteContent) return cb(null, data);
             const injectionContent = this.getInjectionContent();
             data.html = data.html.replace(
               "</head>",
@@ -79,14 +137,80 @@ class SiteContentPlugin {
           stage: compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONS,
         },
         (assets) => {
+          if (!this.siteContent) return;
           assets[this.filename] = {
             source: () => JSON.stringify(this.siteContent, null, 2),
             size: () => JSON.stringify(this.siteContent).length,
           };
+
+          // Files emitted by collector plugins, such as the search index,
+          // go beside the content file
+          const dir = posix.dirname(this.filename);
+          for (const [name, source] of this.collector.assets) {
+            assets[posix.join(dir, name)] = {
+              source: () => source,
+              size: () => Buffer.byteLength(source),
+            };
+          }
+
+          const { files, warnings } = buildSiteFiles(
+            this.siteContent,
+            this.siteFiles
+          );
+          for (const { filename, source } of files) {
+            assets[filename] = {
+              source: () => source,
+              size: () => Buffer.byteLength(source),
+            };
+          }
+          for (const warning of warnings) {
+            compilation.warnings.push(
+              new compiler.webpack.WebpackError(`[${pluginName}] ${warning}`)
+            );
+          }
         }
       );
     });
 
+    // Write each route to route/index.html, once HtmlWebpackPlugin has
+    // emitted the page template with its scripts
+    if (this.prerender) {
+      compiler.hooks.compilation.tap(pluginName, (compilation) => {
+        compilation.hooks.processAssets.tap(
+          {
+            name: pluginName,
+            stage: compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_SUMMARIZE,
+          },
+          (assets) => {
+            if (!this.siteContent) return;
+            const { template = "index.html", rootId } =
+              typeof this.prerender === "object" ? this.prerender : {};
+
+            const html = assets[template]?.source().toString();
+            if (!html) {
+              compilation.warnings.push(
+                new compiler.webpack.WebpackError(
+                  `[${pluginName}] Prerendering skipped: no ${template} template was emitted`
+                )
+              );
+              return;
+            }
+
+            const pages = prerenderSite(this.siteContent, {
+              template: html,
+              rootId,
+            });
+            for (const { filename, source } of pages) {
+              assets[filename] = {
+                source: () => source,
+                size: () => Buffer.byteLength(source),
+              };
+            }
+          }
+        );
+      });
+    }
+
     // Watch mode setup
     if (compiler.options.mode === "development") {
       compiler.hooks.afterEnvironment.tap(pluginName, () => {
@@ -0,0 +1,99 @@
+// src/lint/formatters.js
+import { relative, sep } from "node:path";
+import { formatDiagnostic } from "../core/diagnostics.js";
+import { RULES } from "./rules.js";
+
+const SARIF_LEVELS = { error: "error", warning: "warning", info: "note" };
+
+/**
+ * One line per problem, with file paths relative to `cwd`, and a count of
+ * errors and warnings.
+ *
+ * @param {Object} result - Result of `lintSite`
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()]
+ * @returns {string}
+ */
+export function formatText(result, { cwd = process.cwd() } = {}) {
+  const lines = result.diagnostics.map((diagnostic) =>
+    formatDiagnostic(withRelativeFile(diagnostic, cwd))
+  );
+
+  const { errorCount, warningCount } = result;
+  lines.push(
+    errorCount || warningCount
+      ? `${errorCount} error(s), ${warningCount} warning(s)`
+      : "No problems found"
+  );
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * The diagnostics as a JSON array, with file paths relative to `cwd`.
+ */
+export function formatJson(result, { cwd = process.cwd() } = {}) {
+  return JSON.stringify(
+    result.diagnostics.map((diagnostic) => withRelativeFile(diagnostic, cwd)),
+    null,
+    2
+  );
+}
+
+/**
+ * A SARIF 2.1.0 log, which CI services such as GitHub code scanning show
+ * as annotations on the files. Paths are relative to `cwd`, which should be
+ * the root of the repository.
+ */
+export function formatSarif(result, { cwd = process.cwd() } = {}) {
+  const codes = [...new Set(result.diagnostics.map(({ code }) => code))];
+  const rules = codes.map((id) => ({
+    id,
+    ...(RULES[id] && { shortDescription: { text: RULES[id].description } }),
+  }));
+
+  const results = result.diagnostics.map((diagnostic) => {
+    const { file, line, column } = withRelativeFile(diagnostic, cwd);
+    const location = file && {
+      physicalLocation: {
+        artifactLocation: {
+          uri: file.split(sep).join("/"),
+          uriBaseId: "%SRCROOT%",
+        },
+        ...(line && {
+          region: { startLine: line, ...(column && { startColumn: column }) },
+        }),
+      },
+    };
+
+    return {
+      ruleId: diagnostic.code ?? "unknown",
+      ruleIndex: codes.indexOf(diagnostic.code),
+      level: SARIF_LEVELS[diagnostic.severity] ?? "warning",
+      message: { text: diagnostic.message },
+      ...(location && { locations: [location] }),
+      ...(diagnostic.page && { properties: { page: diagnostic.page } }),
+    };
+  });
+
+  return JSON.stringify(
+    {
+      $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+      version: "2.1.0",
+      runs: [
+        {
+          tool: { driver: { name: "uniweb-lint", rules } },
+          results,
+        },
+      ],
+    },
+    null,
+    2
+  );
+}
+
+function withRelativeFile(diagnostic, cwd) {
+  return diagnostic.file
+    ? { ...diagnostic, file: relative(cwd, diagnostic.file) }
+    : diagnostic;
+}
@@ -0,0 +1,154 @@
+// src/lint/index.js
+import { resolve } from "node:path";
+import { createCollector } from "../setup.js";
+import { SOURCE } from "../core/collector.js";
+import { Diagnostics, SEVERITY } from "../core/diagnostics.js";
+import { readYamlFile } from "../core/utils.js";
+import { RULES, walk } from "./rules.js";
+
+export { RULES } from "./rules.js";
+export { formatText, formatJson, formatSarif } from "./formatters.js";
+
+const CONFIG_FILE = "lint.yml";
+const SEVERITIES = new Set(Object.values(SEVERITY));
+
+/**
+ * Checks the content of a site. The site is collected in analysis mode,
+ * which keeps drafts, scheduled and hidden content, and the problems found
+ * by the collector are reported along with those of the lint rules.
+ *
+ * Rules are configured in the `lint.yml` file of the site, or another file
+ * given as `config`:
+ *
+ *   rules:
+ *     heading-skip: off        # or error, warning, info
+ *     image-size: { severity: error, maxBytes: 500000 }
+ *   components: [Hero, Features]   # for the unknown-component rule
+ *   preset: default                # collector preset
+ *
+ * @param {string} rootPath - Site folder
+ * @param {Object} [options]
+ * @param {string} [options.config] - Path of the lint config file
+ * @returns {Promise<{diagnostics: Object[], errorCount: number, warningCount: number}>}
+ */
+export async function lintSite(rootPath, options = {}) {
+  const configPath = options.config
+    ? resolve(options.config)
+    : resolve(rootPath, CONFIG_FILE);
+  const config = await readYamlFile(configPath);
+  const rules = resolveRules(config.rules ?? {}, configPath);
+
+  const collector = createCollector({
+    preset: config.preset,
+    analyze: true,
+    cache: false,
+  });
+  const content = await collector.collect(rootPath);
+
+  const diagnostics = new Diagnostics();
+  content.diagnostics.forEach((diagnostic) => diagnostics.add(diagnostic));
+
+  const context = createContext(content, rootPath, config);
+
+  // Pages that fall back to the default locale share its files, whose
+  // problems are reported once
+  const reported = new Set();
+
+  for (const { id, rule, severity, options: ruleOptions } of rules) {
+    context.report = (message, details = {}) => {
+      const key = details.file && [id, details.file, message].join("\0");
+      if (key && reported.has(key)) return;
+      if (key) reported.add(key);
+      diagnostics.add({ ...details, severity, code: id, message });
+    };
+    await rule.check(context, ruleOptions);
+  }
+
+  const items = diagnostics.toJSON();
+
+  return {
+    diagnostics: items,
+    errorCount: items.filter((item) => item.severity === SEVERITY.ERROR).length,
+    warningCount: items.filter((item) => item.severity === SEVERITY.WARNING)
+      .length,
+  };
+}
+
+/**
+ * Returns the enabled rules with their severity and options, from the
+ * `rules` of the lint config.
+ */
+function resolveRules(settings, configPath) {
+  for (const id of Object.keys(settings)) {
+    if (!RULES[id]) {
+      throw new Error(`Unknown lint rule "${id}" in ${configPath}`);
+    }
+  }
+
+  return Object.entries(RULES).flatMap(([id, rule]) => {
+    let setting = settings[id] ?? {};
+    if (typeof setting !== "object") setting = { severity: setting };
+
+    const { severity = rule.severity, ...options } = setting;
+    if (severity === "off" || severity === false) return [];
+
+    if (!SEVERITIES.has(severity)) {
+      throw new Error(`Invalid severity "${severity}" for lint rule "${id}"`);
+    }
+
+    return [{ id, rule, severity, options: { ...rule.options, ...options } }];
+  });
+}
+
+/**
+ * Helpers that rules use to go through the collected content.
+ */
+function createContext(content, rootPath, config) {
+  const trees = [
+    content.pages ?? [],
+    ...Object.values(content.translations ?? {}).map(({ pages }) => pages),
+  ];
+
+  function* pages() {
+    const visit = function* (list) {
+      for (const page of list) {
+        yield page;
+        yield* visit(page.subpages ?? []);
+      }
+    };
+    for (const tree of trees) yield* visit(tree);
+  }
+
+  // Generated listing pages repeat the sections of their collection page
+  function* sections() {
+    const visit = function* (page, list) {
+      for (const section of list) {
+        yield { page, section };
+        yield* visit(page, section.subsections ?? []);
+      }
+    };
+    for (const page of pages()) {
+      if (!page.generated) yield* visit(page, page.sections ?? []);
+    }
+  }
+
+  function* nodes(type) {
+    for (const { page, section } of sections()) {
+      for (const node of walk(section.content)) {
+        if (node.type === type) yield { page, section, node };
+      }
+    }
+  }
+
+  return {
+    content,
+    rootPath: resolve(rootPath),
+    config,
+    routes: new Set([...pages()].map((page) => page.route)),
+    pages,
+    sections,
+    nodes,
+    sourceOf: (item) => item?.[SOURCE],
+    report: () => {},
+  };
+}
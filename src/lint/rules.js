@@ -0,0 +1,249 @@
+// src/lint/rules.js
+import { stat } from "node:fs/promises";
+import { dirname, join, resolve } from "node:path";
+import imageSize from "image-size";
+import { EXTERNAL_URL } from "../core/utils.js";
+
+/**
+ * Built-in lint rules, by id. Each rule has a default severity, and a
+ * `check` function that receives the lint context and reports problems with
+ * `context.report(message, details)`. Rule options come from the lint
+ * config, e.g. `image-size: { severity: error, maxBytes: 200000 }`.
+ */
+export const RULES = {
+  "section-component": {
+    severity: "warning",
+    description: "Sections should name the component that renders them",
+    check(context) {
+      for (const { page, section } of context.sections()) {
+        if (!section.component) {
+          context.report(`Section ${section.id} has no component`, {
+            page: page.route,
+            file: context.sourceOf(section),
+          });
+        }
+      }
+    },
+  },
+
+  "unknown-component": {
+    severity: "error",
+    description: "Components must be among those of the site's module",
+    check(context) {
+      // Without a list of components, there is nothing to compare with
+      const known = context.config.components;
+      if (!Array.isArray(known)) return;
+
+      const components = new Set(known);
+      for (const { page, section } of context.sections()) {
+        if (section.component && !components.has(section.component)) {
+          context.report(`Unknown component "${section.component}"`, {
+            page: page.route,
+            file: context.sourceOf(section),
+          });
+        }
+      }
+    },
+  },
+
+  "image-alt": {
+    severity: "warning",
+    description: "Images need alternative text",
+    check(context) {
+      for (const { page, section, node } of context.nodes("image")) {
+        if (!node.attrs?.alt?.trim()) {
+          context.report(`Image ${node.attrs?.src ?? ""} has no alt text`, {
+            page: page.route,
+            file: context.sourceOf(section),
+          });
+        }
+      }
+    },
+  },
+
+  "broken-link": {
+    severity: "error",
+    description: "Links within the site must point to a page or a file",
+    async check(context) {
+      for (const { page, section, node } of context.nodes("text")) {
+        const link = node.marks?.find((mark) => mark.type === "link");
+        const href = link?.attrs?.href;
+        if (!href || EXTERNAL_URL.test(href)) continue;
+
+        // Fragments of the same page are not checked
+        const path = href.replace(/[?#].*$/, "");
+        if (!path) continue;
+
+        // URL paths are percent-encoded, unlike routes and file names
+        const route = decodePath(
+          new URL(path, `http://site${page.route}`).pathname
+        );
+        if (context.routes.has(route.replace(/(.)\/$/, "$1"))) continue;
+
+        // Files of the site, or next to the section
+        const file = context.sourceOf(section);
+        const candidates = [
+          join(context.rootPath, "public", route),
+          join(context.rootPath, route),
+          ...(file && !path.startsWith("/")
+            ? [resolve(dirname(file), decodePath(path))]
+            : []),
+        ];
+        if (await someExist(candidates)) continue;
+
+        context.report(`Broken link to ${href}`, {
+          page: page.route,
+          file,
+        });
+      }
+    },
+  },
+
+  "duplicate-route": {
+    severity: "error",
+    description: "Each page needs a route of its own",
+    check(context) {
+      const seen = new Set();
+      for (const page of context.pages()) {
+        if (!seen.has(page.route)) {
+          seen.add(page.route);
+          continue;
+        }
+
+        context.report(`Route ${page.route} is used by another page`, {
+          page: page.route,
+          file: context.sourceOf(page),
+        });
+      }
+    },
+  },
+
+  "empty-page": {
+    severity: "warning",
+    description: "Pages should have sections or subpages",
+    check(context) {
+      for (const page of context.pages()) {
+        if (!page.generated && !page.sections?.length && !page.subpages) {
+          context.report(`Page ${page.route} has no content`, {
+            page: page.route,
+            file: context.sourceOf(page),
+          });
+        }
+      }
+    },
+  },
+
+  "heading-skip": {
+    severity: "warning",
+    description: "Heading levels should not skip, e.g. from h1 to h3",
+    check(context) {
+      for (const { page, section } of context.sections()) {
+        let previous = null;
+
+        for (const node of walk(section.content)) {
+          if (node.type !== "heading") continue;
+          const level = node.attrs?.level ?? 1;
+
+          if (previous !== null && level > previous + 1) {
+            context.report(
+              `Heading level skips from h${previous} to h${level}`,
+              { page: page.route, file: context.sourceOf(section) }
+            );
+          }
+          previous = level;
+        }
+      }
+    },
+  },
+
+  "image-size": {
+    severity: "warning",
+    description: "Images should not be larger than needed",
+    options: { maxBytes: 1000000, maxWidth: 2560 },
+    async check(context, { maxBytes, maxWidth }) {
+      const checked = new Set();
+
+      for (const { page, section, node } of context.nodes("image")) {
+        const src = node.attrs?.src;
+        const file = context.sourceOf(section);
+        if (!src || EXTERNAL_URL.test(src) || (!file && !src.startsWith("/")))
+          continue;
+
+        // Resolved like the imageMeta plugin does
+        const path = src.startsWith("/")
+          ? resolve(context.rootPath, src.slice(1))
+          : resolve(dirname(file), src);
+        if (checked.has(path)) continue;
+        checked.add(path);
+
+        const stats = await stat(path).catch(() => null);
+        if (!stats) continue;
+
+        const details = { page: page.route, file };
+
+        if (stats.size > maxBytes) {
+          context.report(
+            `Image ${src} is ${formatBytes(stats.size)} (over ${formatBytes(
+              maxBytes
+            )})`,
+            details
+          );
+        }
+
+        const width = getWidth(path);
+        if (width > maxWidth) {
+          context.report(
+            `Image ${src} is ${width}px wide (over ${maxWidth}px)`,
+            details
+          );
+        }
+      }
+    },
+  },
+};
+
+/**
+ * Yields a ProseMirror node and its descendants, in document order.
+ */
+export function* walk(node) {
+  if (!node || typeof node !== "object") return;
+  yield node;
+  for (const child of node.content ?? []) yield* walk(child);
+}
+
+// Malformed escapes, such as a "%" in a file name, are kept as they are
+function decodePath(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+}
+
+async function someExist(paths) {
+  for (const path of paths) {
+    if (
+      await stat(path).then(
+        () => true,
+        () => false
+      )
+    )
+      return true;
+  }
+  return false;
+}
+
+function getWidth(path) {
+  try {
+    return imageSize(path).width ?? 0;
+  } catch {
+    // Not an image format that image-size reads, e.g. some SVGs
+    return 0;
+  }
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1000000
+    ? `${(bytes / 1000000).toFixed(1)} MB`
+    : `${Math.round(bytes / 1000)} KB`;
+}
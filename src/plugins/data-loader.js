@@ -5,6 +5,8 @@ import { LoaderPlugin } from "../core/plugin.js";
 import { Cache } from "../core/utils.js";
 
 export class DataLoaderPlugin extends LoaderPlugin {
+  static pluginName = "dataLoader";
+
   #cache;
 
   constructor(options = {}) {
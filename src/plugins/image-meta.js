@@ -1,16 +1,126 @@
 // src/plugins/image-meta.js
 import { readFile } from "node:fs/promises";
-import { dirname, resolve } from "node:path";
+import { dirname, join, resolve } from "node:path";
 import { ProcessorPlugin } from "../core/plugin.js";
-import { readYamlFile } from "../core/utils.js";
+import { CODES } from "../core/diagnostics.js";
+import { validateSchema } from "../core/schema.js";
+import { EXTERNAL_URL, mergeConfig, readYamlFile } from "../core/utils.js";
+import {
+  RESPONSIVE_DEFAULTS,
+  analyzeImage,
+  createVariants,
+  describeVariants,
+  parseRatio,
+} from "./image-processing.js";
+import { SVG_DEFAULTS, cleanSvg, getSvgFilename } from "./svg.js";
 
+// Where the subject of an image is, as fractions of its width and height
+const FOCAL_POINT = {
+  type: "object",
+  required: ["x", "y"],
+  properties: {
+    x: { type: "number", minimum: 0, maximum: 1 },
+    y: { type: "number", minimum: 0, maximum: 1 },
+  },
+  additionalProperties: false,
+};
+
+// A number or "width:height"
+const ASPECT_RATIO = {
+  type: ["number", "string"],
+  minimum: 0.01,
+  pattern: "^\\d+(\\.\\d+)?:\\d+(\\.\\d+)?$",
+};
+
+/**
+ * Schema of the sidecar files, in the JSON Schema subset of
+ * `validateSchema`. Sites extend it with the `schema` option, e.g. to
+ * require a `credit` or to reject unknown fields.
+ */
+export const METADATA_SCHEMA = {
+  type: "object",
+  properties: {
+    alt: { type: "string" },
+    caption: { type: "string" },
+    title: { type: "string" },
+    credit: { type: "string" },
+    license: { type: "string" },
+    sizes: { type: "string" },
+    dimensions: {
+      type: "object",
+      properties: {
+        width: { type: "number", minimum: 1 },
+        height: { type: "number", minimum: 1 },
+      },
+    },
+    focalPoint: FOCAL_POINT,
+    // Named crops, by aspect ratio, with their own focal point if needed
+    crops: {
+      type: "object",
+      additionalProperties: {
+        ...ASPECT_RATIO,
+        type: ["number", "string", "object"],
+        required: ["aspectRatio"],
+        properties: { aspectRatio: ASPECT_RATIO, focalPoint: FOCAL_POINT },
+        additionalProperties: false,
+      },
+    },
+    // Hints for the responsive variants of the image
+    optimization: {
+      type: "object",
+      properties: {
+        quality: { type: "integer", minimum: 1, maximum: 100 },
+        format: { enum: ["jpeg", "png", "webp", "avif"] },
+      },
+      additionalProperties: false,
+    },
+  },
+};
+
+/**
+ * Enriches the image nodes of the content with the metadata of their sidecar
+ * file (`photo.jpg.yml`), and inlines the sanitized text of SVG images.
+ * Local images get their intrinsic size, a placeholder and a dominant
+ * colour, so that components can reserve their space while they load.
+ *
+ * Options:
+ * - sidecarExt: Extension of the sidecar files (default ".yml")
+ * - dimensions: Add `width`, `height` and `aspectRatio` (default true)
+ * - placeholder: "lqip" for a base64 `placeholder`, or false
+ * - color: Add the dominant `color` (default true)
+ * - cacheDir: Disk cache of the above and of the resized variants, relative
+ *   to the site, or false
+ * - responsive: `true` or options to resize local images into variants of
+ *   several widths and formats, emitted as assets (see RESPONSIVE_DEFAULTS)
+ * - schema: Schema merged into METADATA_SCHEMA to validate sidecar files
+ * - svg: How SVGs are cleaned, and the size over which they are emitted as
+ *   assets instead of inlined (see SVG_DEFAULTS)
+ */
 export class ImageMetadataPlugin extends ProcessorPlugin {
+  static pluginName = "imageMeta";
+
   constructor(options = {}) {
     super(options);
+    const { responsive = false, placeholder = "lqip" } = options;
+
+    if (placeholder && placeholder !== "lqip") {
+      throw new Error(`Unknown image placeholder "${placeholder}"`);
+    }
+
     this.options = {
       sidecarExt: ".yml",
       // publicDir: "public",
+      dimensions: true,
+      placeholder,
+      color: true,
+      cacheDir: join("node_modules", ".cache", "uniweb-images"),
       ...options,
+      responsive: responsive && {
+        ...RESPONSIVE_DEFAULTS,
+        ...(responsive === true ? {} : responsive),
+      },
+      schema: mergeConfig(METADATA_SCHEMA, options.schema),
+      svg: { ...SVG_DEFAULTS, ...options.svg },
     };
   }
 
@@ -52,8 +162,14 @@ export class ImageMetadataPlugin extends ProcessorPlugin {
       const imagePath = this.#resolveImagePath(src, context);
       const metadataPath = imagePath + this.options.sidecarExt;
 
-      // Read metadata file
-      let metadata = await readYamlFile(metadataPath);
+      // Read metadata file (reused across runs while it is unchanged)
+      let metadata = await this.#readCached(
+        metadataPath,
+        readYamlFile,
+        context
+      );
+
+      const valid = this.#validateSidecar(metadata, metadataPath, context);
 
       // Update node attributes with metadata if available
       if (typeof metadata === "object" && !Array.isArray(metadata)) {
@@ -65,13 +181,16 @@ export class ImageMetadataPlugin extends ProcessorPlugin {
         if (alt && !node.attrs.alt) node.attrs.alt = alt;
 
         node.attrs.metadata = metadata;
+        if (valid && metadata.focalPoint) {
+          node.attrs.focalPoint = metadata.focalPoint;
+        }
       }
 
       // Check if the file is an SVG
-      if (src.toLowerCase().endsWith(".svg")) {
+      const isSvg = src.toLowerCase().endsWith(".svg");
+      if (isSvg) {
         try {
-          // Read the SVG file content and save it as "svg" content
-          node.attrs.svg = await readFile(imagePath, "utf8");
+          await this.#addSvg(node, imagePath, context);
         } catch (svgErr) {
           this.addError(
             context,
@@ -80,6 +199,22 @@ export class ImageMetadataPlugin extends ProcessorPlugin {
         }
       }
 
+      if (!EXTERNAL_URL.test(src)) {
+        const found = await this.#addIntrinsics(node, imagePath, context);
+
+        // The hints and crops of an invalid sidecar could make the
+        // resizing fail
+        if (found && !isSvg) {
+          const hints = (valid && metadata.optimization) || {};
+          if (this.options.responsive) {
+            await this.#addVariants(node, imagePath, hints, context);
+          }
+          if (valid && metadata.crops) {
+            await this.#addCrops(node, imagePath, metadata, hints, context);
+          }
+        }
+      }
+
       // Remove any undefined or null values
       Object.keys(node.attrs).forEach((key) => {
         if (node.attrs[key] === undefined || node.attrs[key] === null) {
@@ -94,6 +229,209 @@ export class ImageMetadataPlugin extends ProcessorPlugin {
     }
   }
 
+  /**
+   * Inlines the cleaned text of an SVG as `svg`, or emits it as an asset and
+   * points `src` to it when it is over the inline limit.
+   */
+  async #addSvg(node, imagePath, context) {
+    const { inlineLimit, ...options } = this.options.svg;
+
+    const svg = await this.#readCached(
+      imagePath,
+      async (path) => cleanSvg(await readFile(path, "utf8"), options),
+      context,
+      `${imagePath}?svg`
+    );
+
+    if (Buffer.byteLength(svg) <= inlineLimit) {
+      node.attrs.svg = svg;
+      return;
+    }
+
+    const { outputDir, publicPath } =
+      this.options.responsive || RESPONSIVE_DEFAULTS;
+    const filename = getSvgFilename(imagePath, svg, outputDir);
+
+    context.emitAsset(filename, svg);
+    node.attrs.src =
+      (publicPath.endsWith("/") ? publicPath : publicPath + "/") + filename;
+  }
+
+  /**
+   * Adds the measured size, placeholder and colour of a local image, unless
+   * the content already sets them. Returns false if the image is missing.
+   */
+  async #addIntrinsics(node, imagePath, context) {
+    const { dimensions, placeholder, color, cacheDir } = this.options;
+    if (!dimensions && !placeholder && !color) return true;
+
+    try {
+      const intrinsics = await this.#readCached(
+        imagePath,
+        (path) =>
+          analyzeImage(path, {
+            dimensions,
+            placeholder,
+            color,
+            cacheDir: cacheDir && resolve(context.resourcePath, cacheDir),
+          }),
+        context,
+        `${imagePath}?intrinsics`
+      );
+
+      const size = getSize(node.attrs, intrinsics);
+      for (const [key, value] of Object.entries({ ...intrinsics, ...size })) {
+        node.attrs[key] ??= value;
+      }
+      return true;
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        this.addError(
+          context,
+          `Failed to measure image ${node.attrs.src}: ${err.message}`
+        );
+        return true;
+      }
+
+      this.addWarning(context, `Image not found: ${node.attrs.src}`);
+      return false;
+    }
+  }
+
+  /**
+   * Reports the problems of a sidecar file as diagnostics on that file.
+   * Returns false if there are any.
+   */
+  #validateSidecar(metadata, metadataPath, context) {
+    const problems = validateSchema(metadata, this.options.schema);
+
+    for (const { message } of problems) {
+      this.addError(context, message, {
+        code: CODES.IMAGE_METADATA_INVALID,
+        file: metadataPath,
+      });
+    }
+
+    return problems.length === 0;
+  }
+
+  async #addVariants(node, imagePath, hints, context) {
+    const options = this.#getVariantOptions(hints);
+
+    try {
+      const variants = await this.#createVariants(imagePath, options, context);
+      if (!variants) return;
+
+      // A sidecar may say how wide the image is shown, e.g. "50vw"
+      const sizes = node.attrs.metadata?.sizes ?? options.sizes;
+      Object.assign(
+        node.attrs,
+        describeVariants(variants, { ...options, sizes })
+      );
+    } catch (err) {
+      this.addError(
+        context,
+        `Failed to create responsive images for ${node.attrs.src}: ${err.message}`
+      );
+    }
+  }
+
+  /**
+   * Creates the variants of each named crop of the sidecar, as `crops` on
+   * the node: `{ square: { src, srcset, sources, width, height } }`. Crops
+   * use the responsive options, or their defaults.
+   */
+  async #addCrops(node, imagePath, metadata, hints, context) {
+    const options = this.#getVariantOptions(hints);
+    const crops = {};
+
+    for (const [name, spec] of Object.entries(metadata.crops)) {
+      const { aspectRatio, focalPoint = metadata.focalPoint } =
+        typeof spec === "object" ? spec : { aspectRatio: spec };
+
+      try {
+        const variants = await this.#createVariants(
+          imagePath,
+          { ...options, crop: { name, aspectRatio, focalPoint } },
+          context
+        );
+        if (!variants) return;
+
+        const { sizes, ...attrs } = describeVariants(variants, options);
+        crops[name] = {
+          ...attrs,
+          width: variants.width,
+          height: variants.height,
+          aspectRatio: parseRatio(aspectRatio),
+        };
+      } catch (err) {
+        this.addError(
+          context,
+          `Failed to create the ${name} crop of ${node.attrs.src}: ${err.message}`
+        );
+      }
+    }
+
+    if (Object.keys(crops).length) node.attrs.crops = crops;
+  }
+
+  #getVariantOptions(hints) {
+    return {
+      ...(this.options.responsive || RESPONSIVE_DEFAULTS),
+      ...(hints.quality && { quality: hints.quality }),
+      ...(hints.format && { format: hints.format }),
+    };
+  }
+
+  async #createVariants(imagePath, options, context) {
+    const { quality, format, crop } = options;
+    const { cacheDir } = this.options;
+
+    // Without a disk cache, variants are encoded again on every run
+    if (!cacheDir) {
+      const variants = await createVariants(imagePath, options);
+      for (const { filename, source } of variants?.files ?? []) {
+        context.emitAsset(filename, source);
+      }
+      return variants;
+    }
+
+    // The encoded variants stay on disk, and only their file names and
+    // sizes are cached in memory. They are kept apart from the other
+    // entries of the same file, and by the options of the sidecar.
+    const diskOptions = {
+      ...options,
+      cacheDir: resolve(context.resourcePath, cacheDir),
+    };
+    const create = (path) => createVariants(path, diskOptions);
+
+    let variants = await this.#readCached(
+      imagePath,
+      create,
+      context,
+      `${imagePath}?variants=${JSON.stringify([quality, format, crop])}`
+    );
+    let sources = await readSources(variants);
+
+    // Variants removed from the disk cache since are encoded again
+    if (!sources) {
+      variants = await create(imagePath);
+      sources = await readSources(variants);
+    }
+
+    variants?.files.forEach(({ filename }, i) => {
+      context.emitAsset(filename, sources[i]);
+    });
+
+    return variants;
+  }
+
+  #readCached(path, read, context, key = path) {
+    const { fileCache } = context;
+    if (!fileCache) return read(path);
+    return fileCache.load(key, [path], () => read(path));
+  }
+
   #resolveImagePath(src, context) {
     // Handle absolute paths
     if (src.startsWith("/")) {
@@ -109,47 +447,56 @@ export class ImageMetadataPlugin extends ProcessorPlugin {
     return resolve(currentDir, src);
   }
 
-  static async validateMetadata(metadata) {
-    const schema = {
-      alt: "string?",
-      caption: "string?",
-      title: "string?",
-      dimensions: {
-        width: "number?",
-        height: "number?",
-      },
-      optimization: {
-        quality: "number?",
-        format: "string?",
-      },
-    };
+  /**
+   * Checks sidecar metadata against the schema of the plugin, or the given
+   * one.
+   *
+   * @param {Object} metadata
+   * @param {Object} [schema=METADATA_SCHEMA]
+   * @returns {Promise<true>}
+   * @throws {Error} Listing the problems found
+   */
+  static async validateMetadata(metadata, schema = METADATA_SCHEMA) {
+    const problems = validateSchema(metadata, schema);
 
-    // Basic validation - could be enhanced with a proper schema validator
-    if (metadata.dimensions) {
-      const { width, height } = metadata.dimensions;
-      if (width && typeof width !== "number")
-        throw new Error("Width must be a number");
-      if (height && typeof height !== "number")
-        throw new Error("Height must be a number");
-    }
-
-    if (metadata.optimization) {
-      const { quality, format } = metadata.optimization;
-      if (
-        quality &&
-        (typeof quality !== "number" || quality < 0 || quality > 100)
-      ) {
-        throw new Error("Quality must be a number between 0 and 100");
-      }
-      if (format && !["webp", "jpeg", "png"].includes(format)) {
-        throw new Error("Invalid format specified");
-      }
+    if (problems.length) {
+      throw new Error(problems.map(({ message }) => message).join("; "));
     }
 
     return true;
   }
 }
 
+/**
+ * Returns the sides of an image that follow from those set in the content:
+ * the other side when one is set, by the measured aspect ratio, or the
+ * aspect ratio when both are.
+ */
+function getSize(attrs, { aspectRatio }) {
+  const width = Number(attrs.width);
+  const height = Number(attrs.height);
+
+  if (width && height) {
+    return { aspectRatio: Math.round((width / height) * 10000) / 10000 };
+  }
+  if (width && aspectRatio) return { height: Math.round(width / aspectRatio) };
+  if (height && aspectRatio) return { width: Math.round(height * aspectRatio) };
+  return {};
+}
+
+// Reads the bytes of variants cached on disk, or returns null if some are
+// missing
+async function readSources(variants) {
+  try {
+    return await Promise.all(
+      (variants?.files ?? []).map(({ path }) => readFile(path))
+    );
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
 // Example metadata YAML file structure:
 /*
 alt: "A beautiful sunset"
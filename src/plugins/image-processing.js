@@ -0,0 +1,310 @@
+// src/plugins/image-processing.js
+import { createHash } from "node:crypto";
+import { access, mkdir, readFile, writeFile } from "node:fs/promises";
+import { basename, dirname, extname, join } from "node:path";
+import imageSize from "image-size";
+import sharp from "sharp";
+
+export const RESPONSIVE_DEFAULTS = {
+  widths: [480, 960, 1600],
+  formats: ["avif", "webp"],
+  quality: 80,
+  outputDir: "images",
+  publicPath: "/",
+  sizes: "100vw",
+};
+
+export const MIME_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  avif: "image/avif",
+};
+
+// Raster formats that are resized. GIFs are left alone since they may be
+// animated, and SVGs scale by themselves.
+const RESIZED_FORMATS = new Set(["jpeg", "png", "webp", "avif", "tiff"]);
+
+// Formats kept for the fallback <img>, others are converted to JPEG
+const FALLBACK_FORMATS = new Set(["jpeg", "png", "webp"]);
+
+const EXTENSIONS = { jpeg: "jpg" };
+
+// Formats sampled for a placeholder and a dominant colour
+const SAMPLED_FORMATS = new Set([...RESIZED_FORMATS, "gif"]);
+
+// Width of the placeholder, which browsers scale up and blur
+const LQIP_SIZE = 16;
+
+/**
+ * Resizes an image to each configured width that is not wider than the
+ * original, in a fallback format (`format`, or the original one when
+ * browsers support it) and in each extra format. The original width is
+ * added when some configured width is larger, so the largest variant is
+ * never upscaled.
+ *
+ * With a `crop` option ({name, aspectRatio, focalPoint}), the variants are
+ * of the largest region of that aspect ratio around the focal point.
+ *
+ * File names carry a hash of the image and the options, so that a changed
+ * image gets new URLs: `images/photo-960.1a2b3c4d.webp`, or
+ * `images/photo-square-960.1a2b3c4d.webp` for a crop.
+ *
+ * With a `cacheDir`, the variants are written under it by file name, and
+ * only encoded when missing there. Files then have the `path` of their
+ * bytes on disk instead of a `source` buffer.
+ *
+ * @param {string} path - Image file
+ * @param {Object} options - Responsive options, see RESPONSIVE_DEFAULTS
+ * @returns {Promise<Object|null>} The `width` and `height` of the image or
+ *   crop, the `fallback` format and the `files` ({filename, source or path,
+ *   width, format}), or null for images that are not resized
+ */
+export async function createVariants(path, options) {
+  const { widths, formats, quality, outputDir, crop, cacheDir } = options;
+  const input = await readFile(path);
+  const metadata = await sharp(input).metadata();
+
+  if (!RESIZED_FORMATS.has(metadata.format)) return null;
+
+  // EXIF orientations 5 to 8 swap the sides once the image is rotated
+  const rotated = metadata.orientation >= 5;
+  const region = getRegion(
+    rotated ? metadata.height : metadata.width,
+    rotated ? metadata.width : metadata.height,
+    crop
+  );
+  const { width, height } = region;
+
+  const targets = [...new Set(widths)]
+    .filter((value) => value < width)
+    .sort((a, b) => a - b);
+  if (!targets.length || widths.some((value) => value >= width)) {
+    targets.push(width);
+  }
+
+  const fallback =
+    options.format ??
+    (FALLBACK_FORMATS.has(metadata.format) ? metadata.format : "jpeg");
+  const outputs = [
+    fallback,
+    ...formats.filter((format) => format !== fallback),
+  ];
+
+  const hash = createHash("sha256")
+    .update(input)
+    .update(JSON.stringify({ widths, outputs, quality, region }))
+    .digest("hex")
+    .slice(0, 8);
+  const name = [basename(path, extname(path)), crop?.name]
+    .filter(Boolean)
+    .join("-")
+    .replace(/[^\w-]+/g, "-");
+
+  const files = [];
+  for (const format of outputs) {
+    for (const target of targets) {
+      const ext = EXTENSIONS[format] ?? format;
+      const filename = `${outputDir}/${name}-${target}.${hash}.${ext}`;
+      const cachePath = cacheDir && join(cacheDir, filename);
+
+      if (cachePath && (await exists(cachePath))) {
+        files.push({ filename, path: cachePath, width: target, format });
+        continue;
+      }
+
+      const image = sharp(input).rotate();
+      if (crop) image.extract(region);
+
+      const source = await image
+        .resize({ width: target })
+        .toFormat(format, { quality })
+        .toBuffer();
+
+      if (cachePath) {
+        await mkdir(dirname(cachePath), { recursive: true });
+        await writeFile(cachePath, source);
+        files.push({ filename, path: cachePath, width: target, format });
+      } else {
+        files.push({ filename, source, width: target, format });
+      }
+    }
+  }
+
+  return { width, height, fallback, files };
+}
+
+/**
+ * Parses an aspect ratio given as a number or as "width:height".
+ *
+ * @param {number|string} value
+ * @returns {number} NaN if the value is not a ratio
+ */
+export function parseRatio(value) {
+  if (typeof value === "number") return value > 0 ? value : NaN;
+
+  const [width, height] = String(value).split(":").map(Number);
+  return width > 0 && height > 0 ? width / height : NaN;
+}
+
+/**
+ * Returns the region of an image to keep: all of it, or the largest region
+ * of the aspect ratio of the crop, centered on its focal point as far as the
+ * edges of the image allow. Focal points are fractions of the width and
+ * height, and default to the center.
+ */
+function getRegion(width, height, crop) {
+  if (!crop) return { left: 0, top: 0, width, height };
+
+  const ratio = parseRatio(crop.aspectRatio);
+  if (Number.isNaN(ratio)) {
+    throw new Error(`Invalid aspect ratio "${crop.aspectRatio}"`);
+  }
+
+  const { x = 0.5, y = 0.5 } = crop.focalPoint ?? {};
+  const cropWidth = Math.min(width, Math.round(height * ratio));
+  const cropHeight = Math.min(height, Math.round(width / ratio));
+
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  return {
+    left: clamp(Math.round(x * width - cropWidth / 2), width - cropWidth),
+    top: clamp(Math.round(y * height - cropHeight / 2), height - cropHeight),
+    width: cropWidth,
+    height: cropHeight,
+  };
+}
+
+/**
+ * Returns the image node attributes for the variants of an image: `src` is
+ * the largest fallback variant, `srcset` lists the fallback variants and
+ * `sources` the other formats, for <source> elements of a <picture>.
+ *
+ * @param {Object} variants - Result of createVariants
+ * @param {Object} options - Responsive options
+ * @returns {{src: string, srcset: string, sizes: string, sources: Object[]}}
+ */
+export function describeVariants(variants, options) {
+  const { publicPath, sizes } = options;
+  const base = publicPath.endsWith("/") ? publicPath : publicPath + "/";
+
+  const srcsetOf = (format) =>
+    variants.files
+      .filter((file) => file.format === format)
+      .map((file) => `${base}${file.filename} ${file.width}w`)
+      .join(", ");
+
+  const fallbacks = variants.files.filter(
+    (file) => file.format === variants.fallback
+  );
+  const largest = fallbacks[fallbacks.length - 1];
+
+  const formats = [...new Set(variants.files.map((file) => file.format))];
+
+  return {
+    src: base + largest.filename,
+    srcset: srcsetOf(variants.fallback),
+    sizes,
+    sources: formats
+      .filter((format) => format !== variants.fallback)
+      .map((format) => ({
+        type: MIME_TYPES[format],
+        srcset: srcsetOf(format),
+      })),
+  };
+}
+
+/**
+ * Measures an image and samples its colours: the `width`, `height` and
+ * `aspectRatio` once rotated by its EXIF orientation, a tiny base64
+ * `placeholder` (LQIP) to show while the image loads, and its dominant
+ * `color`. Placeholders and colours are left out for SVGs.
+ *
+ * Results are written to `cacheDir` by a hash of the image contents, so that
+ * a build only samples the images that changed since the last one.
+ *
+ * @param {string} path - Image file
+ * @param {Object} options
+ * @param {boolean} [options.dimensions]
+ * @param {string|false} [options.placeholder] - "lqip" or false
+ * @param {boolean} [options.color]
+ * @param {string|false} [options.cacheDir] - Folder of the disk cache
+ * @returns {Promise<Object>}
+ */
+export async function analyzeImage(path, options) {
+  const { cacheDir, ...features } = options;
+  const input = await readFile(path);
+
+  const hash = createHash("sha256")
+    .update(input)
+    .update(JSON.stringify(features))
+    .digest("hex")
+    .slice(0, 16);
+  const cachePath = cacheDir && join(cacheDir, `${hash}.json`);
+
+  if (cachePath) {
+    const cached = await readFile(cachePath, "utf8").then(
+      JSON.parse,
+      () => null
+    );
+    if (cached) return cached;
+  }
+
+  const result = await sampleImage(input, features);
+
+  if (cachePath) {
+    await mkdir(cacheDir, { recursive: true });
+    await writeFile(cachePath, JSON.stringify(result));
+  }
+
+  return result;
+}
+
+function exists(path) {
+  return access(path).then(
+    () => true,
+    () => false
+  );
+}
+
+async function sampleImage(input, { dimensions, placeholder, color }) {
+  const result = {};
+
+  if (dimensions) {
+    const size = imageSize(input);
+    const rotated = size.orientation >= 5;
+    const width = rotated ? size.height : size.width;
+    const height = rotated ? size.width : size.height;
+
+    if (width && height) {
+      result.width = width;
+      result.height = height;
+      result.aspectRatio = Math.round((width / height) * 10000) / 10000;
+    }
+  }
+
+  if (!placeholder && !color) return result;
+
+  const { format } = await sharp(input).metadata();
+  if (!SAMPLED_FORMATS.has(format)) return result;
+
+  if (placeholder) {
+    const lqip = await sharp(input)
+      .rotate()
+      .resize({ width: LQIP_SIZE, height: LQIP_SIZE, fit: "inside" })
+      .webp({ quality: 40 })
+      .toBuffer();
+    result.placeholder = `data:image/webp;base64,${lqip.toString("base64")}`;
+  }
+
+  if (color) {
+    const { dominant } = await sharp(input).stats();
+    result.color =
+      "#" +
+      [dominant.r, dominant.g, dominant.b]
+        .map((value) => value.toString(16).padStart(2, "0"))
+        .join("");
+  }
+
+  return result;
+}
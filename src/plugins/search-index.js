@@ -0,0 +1,135 @@
+// src/plugins/search-index.js
+import { CollectorPlugin } from "../core/plugin.js";
+import { tokenize } from "../search/analyzer.js";
+import { getText, truncate } from "../core/utils.js";
+
+// Columns of the document table, which avoids repeating keys in the index
+const FIELDS = ["route", "section", "title", "excerpt"];
+const HEADING_WEIGHT = 3;
+
+/**
+ * Builds a full-text search index of the collected sections, and emits it
+ * as an asset (`search-index.json` by default) beside the site content.
+ * Query it with `search()` from "@uniwebcms/site-content-collector/search".
+ *
+ * Pages with `search: false` in their page.yml, and the listing pages
+ * generated for collections, are left out.
+ *
+ * Options:
+ * - filename: Name of the emitted asset
+ * - language: Language of a site that declares no locales (default "en")
+ */
+export class SearchIndexPlugin extends CollectorPlugin {
+  static pluginName = "searchIndex";
+
+  async afterCollect(context, output) {
+    const { filename = "search-index.json" } = this.options;
+    const index = buildSearchIndex(output, this.options);
+
+    context.emitAsset(filename, JSON.stringify(index));
+  }
+}
+
+/**
+ * Indexes the pages of each locale of a collected site. Every section and
+ * subsection is a document, and terms map to a flat list of document
+ * numbers and weights: `{ term: [doc, weight, doc, weight, ...] }`. Words
+ * in headings weigh more than words in the text.
+ *
+ * @param {Object} output - Collector output
+ * @param {Object} [options]
+ * @param {string} [options.language="en"]
+ * @returns {{version: number, locales: Object}}
+ */
+export function buildSearchIndex(output, options = {}) {
+  const defaultLocale =
+    output.locale ?? options.language ?? output.config?.defaultLanguage ?? "en";
+
+  const trees = { [defaultLocale]: output.pages };
+  for (const [locale, translation] of Object.entries(
+    output.translations ?? {}
+  )) {
+    trees[locale] = translation.pages;
+  }
+
+  const locales = {};
+  for (const [locale, pages] of Object.entries(trees)) {
+    locales[locale] = indexPages(pages ?? [], locale.split("-")[0]);
+  }
+
+  return { version: 1, locales };
+}
+
+function indexPages(pages, language) {
+  const documents = [];
+  // Without a prototype, words like "constructor" are terms like others
+  const terms = Object.create(null);
+
+  const addSection = (page, section) => {
+    const { headings, text } = extractText(section.content);
+    const weights = new Map();
+    const count = (words, weight) => {
+      for (const term of tokenize(words, language)) {
+        weights.set(term, (weights.get(term) ?? 0) + weight);
+      }
+    };
+
+    headings.forEach((heading) => count(heading, HEADING_WEIGHT));
+    count(text, 1);
+
+    if (weights.size) {
+      const doc = documents.length;
+      documents.push([
+        page.route,
+        String(section.id),
+        headings[0] ?? page.title ?? "",
+        truncate(text),
+      ]);
+
+      for (const [term, weight] of weights) {
+        (terms[term] ??= []).push(doc, weight);
+      }
+    }
+
+    for (const child of section.subsections ?? []) addSection(page, child);
+  };
+
+  const visit = (list) => {
+    for (const page of list) {
+      if (page.generated || page.search === false) continue;
+      for (const section of page.sections ?? []) addSection(page, section);
+      visit(page.subpages ?? []);
+    }
+  };
+
+  visit(pages);
+
+  return { language, fields: FIELDS, documents, terms };
+}
+
+/**
+ * Returns the text of the headings of a ProseMirror document, and the rest
+ * of its text, with blocks separated by spaces.
+ */
+function extractText(doc) {
+  const headings = [];
+  const blocks = [];
+
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+
+    if (node.type === "heading") {
+      const text = getText(node).trim();
+      if (text) headings.push(text);
+    } else if (node.type === "text") {
+      blocks.push(node.text ?? "");
+    } else {
+      for (const child of node.content ?? []) visit(child);
+      blocks.push(" ");
+    }
+  };
+
+  visit(doc);
+
+  return { headings, text: blocks.join("").replace(/\s+/g, " ").trim() };
+}
@@ -0,0 +1,402 @@
+// src/plugins/svg.js
+import { createHash } from "node:crypto";
+import { basename, extname } from "node:path";
+
+export const SVG_DEFAULTS = {
+  sanitize: true,
+  optimize: true,
+  // Larger SVGs, once cleaned, are emitted as files instead of inlined
+  inlineLimit: 10000,
+};
+
+// Elements kept by the sanitizer. Others are removed with their content:
+// scripts, foreign objects, and the HTML elements that end the SVG in an
+// HTML document, after which <style> and <title> hold raw HTML text.
+const SVG_ELEMENTS = new Set([
+  "a",
+  "animate",
+  "animatemotion",
+  "animatetransform",
+  "circle",
+  "clippath",
+  "defs",
+  "desc",
+  "ellipse",
+  "feblend",
+  "fecolormatrix",
+  "fecomponenttransfer",
+  "fecomposite",
+  "feconvolvematrix",
+  "fediffuselighting",
+  "fedisplacementmap",
+  "fedistantlight",
+  "fedropshadow",
+  "feflood",
+  "fefunca",
+  "fefuncb",
+  "fefuncg",
+  "fefuncr",
+  "fegaussianblur",
+  "feimage",
+  "femerge",
+  "femergenode",
+  "femorphology",
+  "feoffset",
+  "fepointlight",
+  "fespecularlighting",
+  "fespotlight",
+  "fetile",
+  "feturbulence",
+  "filter",
+  "g",
+  "image",
+  "line",
+  "lineargradient",
+  "marker",
+  "mask",
+  "metadata",
+  "mpath",
+  "path",
+  "pattern",
+  "polygon",
+  "polyline",
+  "radialgradient",
+  "rect",
+  "set",
+  "stop",
+  "style",
+  "svg",
+  "switch",
+  "symbol",
+  "text",
+  "textpath",
+  "title",
+  "tspan",
+  "use",
+  "view",
+]);
+
+// Attributes that load or link to a URL, on SVG elements and on the HTML
+// elements that break out of the SVG, e.g. <img src>
+const URL_ATTRIBUTES = new Set([
+  "href",
+  "xlink:href",
+  "src",
+  "srcset",
+  "action",
+  "formaction",
+  "poster",
+  "background",
+]);
+
+// Named character references that decode to the ASCII characters of URLs
+// and CSS. Others are left as they are.
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  colon: ":",
+  lpar: "(",
+  rpar: ")",
+  sol: "/",
+  bsol: "\\",
+  period: ".",
+  comma: ",",
+  semi: ";",
+  excl: "!",
+  num: "#",
+  percnt: "%",
+  tab: "\t",
+  newline: "\n",
+  nbsp: "\u00a0",
+};
+
+// HTML elements without a closing tag, whose removal keeps what follows
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+// Namespace prefixes kept by the optimizer. Others belong to editors, e.g.
+// inkscape:, sodipodi: or sketch:
+const KEPT_PREFIXES = new Set(["xlink", "xml", "xmlns"]);
+
+// Elements whose whitespace is content
+const TEXT_ELEMENTS = new Set(["text", "tspan", "textpath", "title", "desc"]);
+
+// Comments, CDATA, doctypes (with an internal subset), processing
+// instructions, tags, text, and stray "<" characters. Comments end where
+// an HTML parser ends them, also at "<!-->", "<!--->" and "--!>".
+const TOKEN =
+  /<!--(?:-?>|[\s\S]*?--!?>)|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>|<\?[\s\S]*?\?>|<(\/?)([\w:.-]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>|[^<]+|</gi;
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*("[^"]*"|'[^']*'))?/g;
+const CSS_URL = /url\(\s*(["']?)([^)]*?)\1\s*\)/gi;
+const PATH_TOKEN = /[a-df-z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi;
+
+/**
+ * Cleans the text of an SVG before it is inlined in HTML.
+ *
+ * Sanitizing keeps only SVG elements, which leaves out scripts, foreign
+ * objects and HTML elements, and removes what could run code or load other
+ * resources: event handler attributes, `javascript:` URLs, links, sources
+ * and CSS `url()` references outside of the document (except images given
+ * as data URLs, and web links of `<a>` elements), `@import` rules,
+ * comments, doctypes and processing instructions. Attribute values are
+ * checked once their character references are decoded, and are always
+ * written with `<`, `>`, `&` and quotes escaped.
+ *
+ * Optimizing removes comments, `<metadata>`, the elements and attributes of
+ * editor namespaces, and whitespace between elements, and shortens path
+ * data by rounding numbers to 3 decimals and dropping separators.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.sanitize=true]
+ * @param {boolean} [options.optimize=true]
+ * @returns {string}
+ */
+export function cleanSvg(text, options = {}) {
+  const { sanitize = true, optimize = true } = options;
+  const output = [];
+  const stack = [];
+  let skipped = null; // The element being dropped, with its nesting depth
+
+  for (const match of text.matchAll(TOKEN)) {
+    const [token, cdata, closing, tagName, rawAttributes, selfClosing] = match;
+    const parent = stack[stack.length - 1];
+
+    if (tagName) {
+      const name = tagName.toLowerCase();
+
+      if (skipped) {
+        if (name === skipped.name && !selfClosing) {
+          skipped.depth += closing ? -1 : 1;
+          if (!skipped.depth) skipped = null;
+          continue;
+        }
+        // An element left open ends with its parent
+        if (!closing || !stack.includes(name)) continue;
+        skipped = null;
+      }
+
+      if (closing) {
+        // Closing tags of removed elements could end the SVG too
+        if (sanitize && !stack.includes(name)) continue;
+        stack.pop();
+        output.push(`</${tagName}>`);
+        continue;
+      }
+
+      const attributes = parseAttributes(rawAttributes);
+      const isEmpty = selfClosing || VOID_ELEMENTS.has(name);
+      if (isDropped(name, attributes, { sanitize, optimize })) {
+        if (!isEmpty) skipped = { name, depth: 1 };
+        continue;
+      }
+
+      const kept = cleanAttributes(name, attributes, { sanitize, optimize });
+      output.push(`<${tagName}${kept}${selfClosing ? "/" : ""}>`);
+      if (!isEmpty) stack.push(name);
+      continue;
+    }
+
+    if (skipped) continue;
+
+    if (token.startsWith("<!--")) {
+      if (!sanitize && !optimize) output.push(token);
+    } else if (cdata !== undefined) {
+      const content = sanitize && parent === "style" ? cleanCss(cdata) : cdata;
+      output.push(`<![CDATA[${content}]]>`);
+    } else if (token.startsWith("<!") || token.startsWith("<?")) {
+      // Doctypes may declare entities, and <?xml-stylesheet?> loads CSS
+      if (!sanitize && !optimize) output.push(token);
+    } else if (token === "<") {
+      output.push("&lt;");
+    } else if (sanitize && parent === "style") {
+      output.push(cleanCss(token));
+    } else if (!optimize || token.trim() || TEXT_ELEMENTS.has(parent)) {
+      output.push(token);
+    }
+  }
+
+  return output.join("").trim();
+}
+
+/**
+ * Returns the file name of an SVG emitted as an asset, with a hash of its
+ * content: `images/logo.1a2b3c4d.svg`.
+ */
+export function getSvgFilename(path, svg, outputDir) {
+  const hash = createHash("sha256").update(svg).digest("hex").slice(0, 8);
+  const name = basename(path, extname(path)).replace(/[^\w-]+/g, "-");
+  return `${outputDir}/${name}.${hash}.svg`;
+}
+
+function parseAttributes(text = "") {
+  return [...text.matchAll(ATTRIBUTE)].map(([, name, quoted]) => ({
+    name,
+    quote: quoted?.[0] ?? '"',
+    value: quoted ? quoted.slice(1, -1) : "",
+  }));
+}
+
+function isDropped(name, attributes, { sanitize, optimize }) {
+  if (sanitize) {
+    if (!SVG_ELEMENTS.has(name)) return true;
+
+    // Animations can set a link or an event handler
+    if (name === "set" || name.startsWith("animate")) {
+      const target = attributes.find(
+        (attribute) => attribute.name.toLowerCase() === "attributename"
+      );
+      if (target && /^(?:on|(?:xlink:)?href$)/i.test(target.value.trim())) {
+        return true;
+      }
+    }
+  }
+
+  if (optimize) {
+    const prefix = name.includes(":") && name.split(":")[0];
+    if (name === "metadata" || (prefix && !KEPT_PREFIXES.has(prefix))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function cleanAttributes(element, attributes, { sanitize, optimize }) {
+  let result = "";
+
+  for (let { name, quote, value } of attributes) {
+    const lower = name.toLowerCase();
+    const prefix = lower.includes(":") && lower.split(":")[0];
+
+    if (sanitize) {
+      if (lower.startsWith("on")) continue;
+      if (URL_ATTRIBUTES.has(lower) && !isSafeUrl(value, element)) continue;
+      if (normalize(value).includes("javascript:")) continue;
+
+      const decoded = decodeEntities(value);
+      if (lower === "style" || /url\(/i.test(decoded)) {
+        // Every "&" of the decoded text is a character
+        value = cleanCss(decoded).replace(/&/g, "&amp;");
+      }
+    }
+
+    if (optimize) {
+      // Editor namespaces, and their declarations
+      if (prefix && !KEPT_PREFIXES.has(prefix)) continue;
+      if (prefix === "xmlns" && !KEPT_PREFIXES.has(lower.slice(6))) continue;
+      if (lower === "d") value = compactPath(value);
+    }
+
+    result += ` ${name}=${quote}${escapeAttribute(value, quote)}${quote}`;
+  }
+
+  return result;
+}
+
+/**
+ * References to the same document, and images given as data URLs, are
+ * safe. Links may also point to web pages.
+ */
+function isSafeUrl(value, element) {
+  const url = normalize(value);
+  return (
+    url.startsWith("#") ||
+    /^data:image\/(?:png|jpeg|gif|webp);/.test(url) ||
+    (element === "a" && /^(?:https?:|mailto:)/.test(url))
+  );
+}
+
+function cleanCss(css) {
+  return css
+    .replace(/@import[^;]*;?/gi, "")
+    .replace(CSS_URL, (match, quote, url) =>
+      isSafeUrl(url, null) ? match : "none"
+    );
+}
+
+// Decodes character references and drops the whitespace and control
+// characters that browsers ignore in URLs, e.g. in "java&#x09;script:"
+function normalize(value) {
+  return decodeEntities(value)
+    .replace(/[\s\0-\x1f]+/g, "")
+    .toLowerCase();
+}
+
+// Decodes numeric character references, and the named ones of ENTITIES
+function decodeEntities(value) {
+  return value.replace(
+    /&(?:#x([\da-f]+)|#(\d+)|([a-z]+));?/gi,
+    (match, hex, decimal, name) => {
+      if (name) return ENTITIES[name.toLowerCase()] ?? match;
+
+      const code = hex ? parseInt(hex, 16) : Number(decimal);
+      return code > 0 && code <= 0x10ffff
+        ? String.fromCodePoint(code)
+        : "\ufffd";
+    }
+  );
+}
+
+// Escapes the characters that end a value or a tag, and the "&" that do not
+// start a character reference
+function escapeAttribute(value, quote) {
+  return value
+    .replace(/&(?!#\d+;|#x[\da-f]+;|[a-z][a-z\d]*;)/gi, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .split(quote)
+    .join(quote === '"' ? "&quot;" : "&#39;");
+}
+
+/**
+ * Rounds the numbers of path data and drops the separators that are not
+ * needed, e.g. "M 10.0000 20.5 L -0.5 30 z" becomes "M10 20.5L-.5 30z".
+ * Paths with arcs are kept as they are, since their flags may be written
+ * without separators.
+ */
+function compactPath(d) {
+  if (/a/i.test(d.replace(/e[-+]?\d/gi, ""))) return d;
+
+  let result = "";
+  let previous = null;
+
+  for (const [token] of d.matchAll(PATH_TOKEN)) {
+    if (/^[a-z]$/i.test(token)) {
+      result += token;
+      previous = "command";
+      continue;
+    }
+
+    const number = formatNumber(Number(token));
+    if (previous === "number" && !number.startsWith("-")) result += " ";
+    result += number;
+    previous = "number";
+  }
+
+  return result;
+}
+
+function formatNumber(value) {
+  const rounded = Number(value.toFixed(3));
+  return String(Object.is(rounded, -0) ? 0 : rounded).replace(
+    /^(-?)0\./,
+    "$1."
+  );
+}
@@ -0,0 +1,63 @@
+// src/presets.js
+import { DataLoaderPlugin } from "./plugins/data-loader.js";
+import { ImageMetadataPlugin } from "./plugins/image-meta.js";
+import { SearchIndexPlugin } from "./plugins/search-index.js";
+
+// Built-in collector plugins, by the option key that configures them
+export const BUILT_IN_PLUGINS = {
+  dataLoader: DataLoaderPlugin,
+  imageMeta: ImageMetadataPlugin,
+  searchIndex: SearchIndexPlugin,
+};
+
+// Named bundles of built-in plugins and their options. A key set to
+// `false` leaves that plugin out.
+export const PRESETS = {
+  // Collects JSON data for sections, and the sidecar metadata, size,
+  // placeholder and colour of images
+  default: {
+    dataLoader: {},
+    imageMeta: {},
+  },
+
+  // Documentation sites are searched rather than browsed, and their images
+  // are mostly screenshots and diagrams that only need their size
+  docs: {
+    dataLoader: false,
+    imageMeta: { placeholder: false, color: false },
+    searchIndex: {},
+  },
+
+  // Blogs are heavy on photos, which are resized for each screen, and have
+  // archives worth searching
+  blog: {
+    dataLoader: {},
+    imageMeta: { responsive: true },
+    searchIndex: {},
+  },
+};
+
+/**
+ * Resolves a preset into the options of each built-in plugin.
+ *
+ * @param {string|Object} preset - Preset name, or an object shaped like
+ *   the entries of PRESETS
+ * @returns {Object} Options by built-in plugin key
+ * @throws {Error} On unknown preset names or plugin keys
+ */
+export function resolvePreset(preset = "default") {
+  const settings = typeof preset === "string" ? PRESETS[preset] : preset;
+
+  if (!settings || typeof settings !== "object") {
+    const names = Object.keys(PRESETS).join(", ");
+    throw new Error(`Unknown collector preset "${preset}" (use ${names})`);
+  }
+
+  for (const key of Object.keys(settings)) {
+    if (!BUILT_IN_PLUGINS[key]) {
+      throw new Error(`Unknown built-in collector plugin "${key}"`);
+    }
+  }
+
+  return { ...settings };
+}
@@ -4,9 +4,31 @@ export { ContentCollector } from "./core/collector.js";
 // Helper functions
 export { createCollector, collectSiteContent } from "./setup.js";
 
+// sitemap.xml, robots.txt and feeds derived from the collected content
+export { buildSiteFiles } from "./core/site-files.js";
+
+// Static HTML of every route, for crawlers
+export { prerenderSite } from "./core/prerender.js";
+
+// Titles, descriptions and canonical URLs of pages
+export { resolveMeta } from "./core/meta.js";
+
+// Validation of YAML data against a JSON Schema subset
+export { validateSchema } from "./core/schema.js";
+
+// Content linting, as run by `uniweb lint`
+export {
+  lintSite,
+  RULES as LINT_RULES,
+  formatText,
+  formatJson,
+  formatSarif,
+} from "./lint/index.js";
+
 // Built-in collector plugins
 export { DataLoaderPlugin } from "./plugins/data-loader.js";
-export { ImageMetadataPlugin } from "./plugins/image-meta.js";
+export { ImageMetadataPlugin, METADATA_SCHEMA } from "./plugins/image-meta.js";
+export { SearchIndexPlugin, buildSearchIndex } from "./plugins/search-index.js";
 
 // Plugin framework
 export {
@@ -16,6 +38,14 @@ export {
   TransformerPlugin, // Modifies the final output structure
 } from "./core/plugin.js";
 
+// Diagnostics reported by the collector and its plugins
+export {
+  Diagnostics,
+  SEVERITY,
+  CODES,
+  formatDiagnostic,
+} from "./core/diagnostics.js";
+
 // Built-in webpack plugins
 export { SiteContentPlugin } from "./hostWebpack/site-content-plugin.js";
 
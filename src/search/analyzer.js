@@ -0,0 +1,165 @@
+// src/search/analyzer.js
+//
+// Turns text into index terms. It has no dependencies, so that a site can
+// analyze search queries in the browser exactly as the index was built.
+
+const STOP_WORDS = {
+  en: new Set(
+    (
+      "a an and are as at be but by for from has have he her his i if in " +
+      "into is it its not of on or our she so than that the their them " +
+      "then there these they this to was we were what when which who will " +
+      "with you your"
+    ).split(" ")
+  ),
+  fr: new Set(
+    (
+      "a au aux avec ce ces cet cette d dans de des du elle en est et eux " +
+      "il ils je l la le les leur leurs lui m ma mais me mes moi mon n ne " +
+      "nos notre nous on ou par pas pour qu que qui s sa se ses son sur t " +
+      "ta te tes toi ton tu un une vos votre vous y"
+    ).split(" ")
+  ),
+};
+
+// Ordered longest first, since the first match wins
+const FRENCH_SUFFIXES = [
+  "issements",
+  "issement",
+  "atrices",
+  "ateurs",
+  "ations",
+  "ements",
+  "atrice",
+  "ateur",
+  "ation",
+  "ement",
+  "ances",
+  "ences",
+  "euses",
+  "ismes",
+  "istes",
+  "ables",
+  "ance",
+  "ence",
+  "euse",
+  "isme",
+  "iste",
+  "able",
+  "eurs",
+  "ités",
+  "ives",
+  "eur",
+  "ité",
+  "ive",
+  "ifs",
+  "ées",
+  "if",
+  "ée",
+  "és",
+  "er",
+  "ez",
+  "é",
+];
+
+const ENGLISH_SUFFIXES = [
+  ["ational", "ate"],
+  ["ization", "ize"],
+  ["fulness", "ful"],
+  ["ousness", "ous"],
+  ["iveness", "ive"],
+  ["ingly", ""],
+  ["edly", ""],
+  ["ment", ""],
+  ["ness", ""],
+  ["ing", ""],
+  ["ed", ""],
+  ["ly", ""],
+];
+
+const STEMMERS = { en: stemEnglish, fr: stemFrench };
+
+export const LANGUAGES = Object.keys(STEMMERS);
+
+/**
+ * Splits text into normalized, stemmed terms. Stop words and one-letter
+ * words are left out. Languages without a stemmer are only normalized.
+ *
+ * @param {string} text
+ * @param {string} [language="en"]
+ * @returns {string[]}
+ */
+export function tokenize(text, language = "en") {
+  const stopWords = STOP_WORDS[language] ?? new Set();
+  const words =
+    String(text)
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) ?? [];
+
+  return words
+    .filter((word) => word.length > 1 && !stopWords.has(word))
+    .map((word) => fold(stem(word, language)));
+}
+
+/**
+ * Reduces a lowercase word to its stem. These are light stemmers, which
+ * favour merging plurals and common derivations over linguistic accuracy.
+ */
+export function stem(word, language = "en") {
+  const stemmer = STEMMERS[language];
+  return stemmer && !/\d/.test(word) ? stemmer(word) : word;
+}
+
+// Accents are removed after stemming, so that queries typed without them
+// still match
+function fold(term) {
+  return term.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+}
+
+function stemEnglish(word) {
+  if (word.length <= 3) return word;
+
+  if (word.endsWith("ies") && word.length > 4) {
+    word = word.slice(0, -3) + "y";
+  } else if (/(ss|sh|ch|x|z)es$/.test(word)) {
+    word = word.slice(0, -2);
+  } else if (/[^suiy]s$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  for (const [suffix, replacement] of ENGLISH_SUFFIXES) {
+    const rest = word.slice(0, -suffix.length);
+    if (word.endsWith(suffix) && rest.length >= 3 && /[aeiouy]/.test(rest)) {
+      word = rest + replacement;
+
+      // "running" gives "runn", then "run"
+      if (!replacement && /([^aeiouylsz])\1$/.test(word)) {
+        word = word.slice(0, -1);
+      }
+      break;
+    }
+  }
+
+  return word;
+}
+
+function stemFrench(word) {
+  if (word.length <= 4) return word;
+
+  // Plurals
+  if (word.endsWith("aux")) word = word.slice(0, -3) + "al";
+  else if (/[sx]$/.test(word)) word = word.slice(0, -1);
+
+  for (const suffix of FRENCH_SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      word = word.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  // Feminine forms and doubled consonants, e.g. "bonne" and "bon"
+  if (word.length > 4 && word.endsWith("e")) word = word.slice(0, -1);
+  if (/([^aeiouy])\1$/.test(word)) word = word.slice(0, -1);
+
+  return word;
+}
@@ -0,0 +1,6 @@
+// src/search/index.js
+//
+// Browser-safe helpers to query the index emitted by the searchIndex
+// collector plugin.
+export { tokenize, stem, LANGUAGES } from "./analyzer.js";
+export { search } from "./query.js";
@@ -0,0 +1,56 @@
+// src/search/query.js
+import { tokenize } from "./analyzer.js";
+
+/**
+ * Searches an index built by the searchIndex collector plugin.
+ *
+ * Documents score the sum of their term weights, scaled by how rare each
+ * term is. The last query word also matches as a prefix, so that results
+ * can be shown while typing.
+ *
+ * @param {Object} index - Parsed search-index.json
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Defaults to the index's first locale
+ * @param {number} [options.limit=10]
+ * @returns {Array<{route: string, section: string, title: string, excerpt: string, score: number}>}
+ */
+export function search(index, query, options = {}) {
+  const locale = options.locale ?? Object.keys(index.locales)[0];
+  const { language, fields, documents, terms } = index.locales[locale] ?? {};
+  if (!documents) return [];
+
+  const words = tokenize(query, language);
+  const scores = new Map();
+
+  words.forEach((word, i) => {
+    const isLast = i === words.length - 1;
+    const matches = isLast
+      ? Object.keys(terms).filter((term) => term.startsWith(word))
+      : Object.hasOwn(terms, word)
+      ? [word]
+      : [];
+
+    for (const term of matches) {
+      const postings = terms[term];
+      const idf = Math.log(1 + documents.length / (postings.length / 2));
+      // Prefix matches count less than whole words
+      const boost = term === word ? 1 : 0.5;
+
+      for (let j = 0; j < postings.length; j += 2) {
+        const doc = postings[j];
+        scores.set(doc, (scores.get(doc) ?? 0) + postings[j + 1] * idf * boost);
+      }
+    }
+  });
+
+  return [...scores]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, options.limit ?? 10)
+    .map(([doc, score]) => ({
+      ...Object.fromEntries(
+        fields.map((field, i) => [field, documents[doc][i]])
+      ),
+      score,
+    }));
+}
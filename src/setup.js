@@ -1,34 +1,54 @@
 import { ContentCollector } from "./core/collector.js";
+import { BUILT_IN_PLUGINS, resolvePreset } from "./presets.js";
 
-// Built-in plugins
-import { DataLoaderPlugin } from "./plugins/data-loader.js";
-import { ImageMetadataPlugin } from "./plugins/image-meta.js";
-
-// Create a pre-configured collector with default plugins
+// Create a pre-configured collector with the plugins of a preset. The
+// options of a built-in plugin may also be given directly, e.g.
+// `imageMeta: { sidecarExt: ".yaml" }`, which are merged into those of the
+// preset, or `false` to leave it out.
 export function createCollector(options = {}) {
-  const { plugins = [], dataLoader = {}, imageMeta = {}, ...config } = options;
+  const { plugins = [], preset = "default", ...rest } = options;
 
-  const collector = new ContentCollector(config);
+  if (!Array.isArray(plugins)) {
+    throw new TypeError("Collector `plugins` must be an array");
+  }
+
+  const builtIns = resolvePreset(preset);
+  const config = {};
 
-  // Add built-in plugins if enabled in config (Note: {} evaluates to true)
-  if (dataLoader) {
-    // Collects JSON data as dynamic into for page sections
-    collector.use(new DataLoaderPlugin(dataLoader));
+  for (const [key, value] of Object.entries(rest)) {
+    if (!(key in BUILT_IN_PLUGINS)) {
+      config[key] = value;
+    } else if (value !== undefined) {
+      builtIns[key] = mergeOptions(builtIns[key], value);
+    }
   }
 
-  if (imageMeta) {
-    // Collects "sidecar" metadata for images
-    collector.use(new ImageMetadataPlugin(imageMeta));
+  const collector = new ContentCollector(config);
+
+  // Add built-in plugins if enabled (Note: {} evaluates to true)
+  for (const [key, pluginOptions] of Object.entries(builtIns)) {
+    if (pluginOptions) {
+      const Plugin = BUILT_IN_PLUGINS[key];
+      collector.use(new Plugin(pluginOptions === true ? {} : pluginOptions));
+    }
   }
 
   // Add all other user plugins
-  for (const i of plugins) {
-    collector.use(plugins[i]);
+  for (const plugin of plugins) {
+    if (!plugin || typeof plugin !== "object") {
+      throw new TypeError(`Invalid collector plugin: ${plugin}`);
+    }
+    collector.use(plugin);
   }
 
   return collector;
 }
 
+function mergeOptions(preset, value) {
+  const isObject = (options) => options && typeof options === "object";
+  return isObject(preset) && isObject(value) ? { ...preset, ...value } : value;
+}
+
 // Convenience function for simple usage
 export async function collectSiteContent(rootPath, options = {}) {
   const collector = createCollector(options);
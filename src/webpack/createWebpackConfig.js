@@ -12,6 +12,7 @@ import moduleUtils from "./module/moduleUtils.js";
 import buildUtils from "./buildUtils.js";
 import { PATHS, FILES, BUILD_MODES } from "./constants.js";
 import { logger } from "../logger.js";
+import { loadPlugins } from "../core/plugin-loader.js";
 
 function getBuildMode(argv) {
   if (argv.mode && Object.values(BUILD_MODES).includes(argv.mode))
@@ -69,13 +70,16 @@ export default async function createWebpackConfig(
   const env = process.env;
   const debug = true;
   const log = debug ? console.log : () => {};
-  const userPlugins = options.plugins ?? [];
+  const pluginSpecs = options.plugins ?? [];
 
   // Validate inputs
-  if (!Array.isArray(userPlugins)) {
+  if (!Array.isArray(pluginSpecs)) {
     throw new Error("Project `plugins` must be an array");
   }
 
+  // Collector plugins may be listed by package name, with options
+  const userPlugins = await loadPlugins(pluginSpecs, { rootDir });
+
   // Prepare the base public URL such that the module's URL
   // is `${basePublicUrl}/${moduleName}/${uuid}/`
   const basePublicUrl = isProduction
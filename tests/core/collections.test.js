@@ -0,0 +1,138 @@
+// tests/core/collections.test.js
+import {
+  buildCollection,
+  summarize,
+  slugify,
+} from "../../src/core/collections.js";
+
+const doc = (...content) => ({ type: "doc", content });
+const text = (value) => ({ type: "text", text: value });
+
+function article(slug, date, tags) {
+  return {
+    route: `/news/${slug}`,
+    sections: [
+      {
+        id: "1",
+        params: { date, tags },
+        content: doc(
+          { type: "heading", content: [text(`About ${slug}`)] },
+          {
+            type: "paragraph",
+            content: [{ type: "image", attrs: { src: `/${slug}.jpg` } }],
+          },
+          { type: "paragraph", content: [text(`Text of ${slug}.`)] }
+        ),
+        subsections: [],
+      },
+    ],
+  };
+}
+
+describe("collections", () => {
+  test("summarizes a page from its sections", () => {
+    expect(summarize(article("a", "2024-01-02", ["News"]))).toEqual({
+      route: "/news/a",
+      title: "About a",
+      date: "2024-01-02",
+      excerpt: "Text of a.",
+      image: "/a.jpg",
+      tags: ["News"],
+      categories: [],
+    });
+
+    const page = { ...article("b"), title: "B", excerpt: "Short" };
+    expect(summarize(page)).toMatchObject({ title: "B", excerpt: "Short" });
+  });
+
+  test("skips images with a path relative to the section file", () => {
+    const page = article("a");
+    const [, figure] = page.sections[0].content.content;
+    figure.content.unshift({ type: "image", attrs: { src: "./cover.jpg" } });
+    expect(summarize(page).image).toBe("/a.jpg");
+
+    figure.content.pop();
+    expect(summarize(page).image).toBeUndefined();
+  });
+
+  test("truncates long excerpts at a word boundary", () => {
+    const page = article("a");
+    page.sections[0].content.content[2].content = [text("word ".repeat(50))];
+
+    const { excerpt } = summarize(page);
+    expect(excerpt.length).toBeLessThanOrEqual(161);
+    expect(excerpt.endsWith("word…")).toBe(true);
+  });
+
+  test("paginates the items, newest first", () => {
+    const news = {
+      route: "/news",
+      title: "News",
+      collection: { sort: "date", perPage: 2 },
+      subpages: [
+        article("a", "2024-01-01"),
+        article("c", "2024-03-01"),
+        article("b", "2024-02-01"),
+      ],
+    };
+
+    const generated = buildCollection(news);
+
+    expect(news.listing).toMatchObject({
+      route: "/news",
+      page: 1,
+      pages: 2,
+      total: 3,
+      next: "/news/page/2",
+    });
+    expect(news.listing.items.map((item) => item.route)).toEqual([
+      "/news/c",
+      "/news/b",
+    ]);
+
+    const second = generated.find((page) => page.route === "/news/page/2");
+    expect(second).toMatchObject({
+      title: "News",
+      parent: "/news",
+      sections: [],
+      hideInMenu: true,
+      generated: true,
+    });
+    expect(second.listing).toMatchObject({ page: 2, prev: "/news" });
+    expect(second.listing.items.map((item) => item.route)).toEqual(["/news/a"]);
+  });
+
+  test("builds taxonomy pages from section front matter", () => {
+    const blog = {
+      route: "/blog",
+      collection: { taxonomies: ["tags"] },
+      subpages: [
+        article("a", "2024-01-01", ["React", "CSS"]),
+        article("b", "2024-02-01", "React"),
+      ],
+    };
+
+    const routes = buildCollection(blog).map((page) => page.route);
+    expect(routes).toEqual([
+      "/blog/tags",
+      "/blog/tags/css",
+      "/blog/tags/react",
+    ]);
+
+    const [index, , react] = buildCollection(blog);
+    expect(index.taxonomy.terms).toEqual([
+      { term: "CSS", slug: "css", count: 1, route: "/blog/tags/css" },
+      { term: "React", slug: "react", count: 2, route: "/blog/tags/react" },
+    ]);
+    expect(react.taxonomy).toEqual({
+      name: "tags",
+      term: "React",
+      slug: "react",
+    });
+    expect(react.listing.total).toBe(2);
+  });
+
+  test("slugifies terms", () => {
+    expect(slugify("Élan Vital!")).toBe("elan-vital");
+  });
+});
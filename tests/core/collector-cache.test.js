@@ -0,0 +1,81 @@
+// tests/core/collector-cache.test.js
+import { jest } from "@jest/globals";
+import { join } from "node:path";
+import { mkdir, rm, utimes, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+
+const markdownToProseMirror = jest.fn((markdown) => ({
+  type: "doc",
+  content: [
+    {
+      type: "paragraph",
+      content: [{ type: "text", text: markdown.trim() }],
+    },
+  ],
+}));
+
+jest.unstable_mockModule("@uniwebcms/content-reader", () => ({
+  markdownToProseMirror,
+}));
+
+const { ContentCollector } = await import("../../src/core/collector.js");
+
+describe("ContentCollector cache", () => {
+  let root;
+
+  beforeEach(async () => {
+    root = join(tmpdir(), "content-collector-cache-test-" + Date.now());
+    await mkdir(join(root, "pages", "home"), { recursive: true });
+    await mkdir(join(root, "pages", "about"), { recursive: true });
+    await writeFile(join(root, "site.yml"), "name: Test\n");
+    await writeFile(join(root, "pages", "home", "1-hero.md"), "Welcome\n");
+    await writeFile(join(root, "pages", "about", "page.yml"), "title: About\n");
+    await writeFile(join(root, "pages", "about", "1-intro.md"), "About us\n");
+    markdownToProseMirror.mockClear();
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test("parses only the sections that changed since the last collect", async () => {
+    const collector = new ContentCollector();
+
+    await collector.collect(root);
+    expect(markdownToProseMirror).toHaveBeenCalledTimes(2);
+
+    await collector.collect(root);
+    expect(markdownToProseMirror).toHaveBeenCalledTimes(2);
+
+    // A changed page.yml re-processes the sections of its page only
+    const config = join(root, "pages", "about", "page.yml");
+    const later = new Date(Date.now() + 5000);
+    await writeFile(config, "title: About us\n");
+    await utimes(config, later, later);
+
+    const result = await collector.collect(root);
+    expect(markdownToProseMirror).toHaveBeenCalledTimes(3);
+    expect(markdownToProseMirror).toHaveBeenLastCalledWith("About us\n");
+    expect(result.pages.find((p) => p.route === "/about").title).toBe(
+      "About us"
+    );
+  });
+
+  test("forgets deleted files after a collect", async () => {
+    const collector = new ContentCollector();
+    const intro = join(root, "pages", "about", "1-intro.md");
+    const time = new Date(Date.now() - 60000);
+    await utimes(intro, time, time);
+
+    await collector.collect(root);
+    await rm(intro);
+    await collector.collect(root);
+
+    // Restored as it was, the file would look unchanged to a stale entry
+    await writeFile(intro, "About us\n");
+    await utimes(intro, time, time);
+    await collector.collect(root);
+
+    expect(markdownToProseMirror).toHaveBeenCalledTimes(3);
+  });
+});
@@ -1,13 +1,19 @@
 // tests/core/collector.test.js
 import { jest } from "@jest/globals";
 import { join } from "node:path";
-import { mkdir, writeFile } from "node:fs/promises";
+import { mkdir, rm, writeFile } from "node:fs/promises";
 import { tmpdir } from "node:os";
 import { ContentCollector } from "../../src/core/collector.js";
+import { TransformerPlugin } from "../../src/core/plugin.js";
+
+let fixtureCount = 0;
 
 // Create temporary test files and directories
 async function createTestStructure() {
-  const root = join(tmpdir(), "content-collector-test-" + Date.now());
+  const root = join(
+    tmpdir(),
+    `content-collector-test-${Date.now()}-${fixtureCount++}`
+  );
   const contentDir = join(root, "pages");
 
   await mkdir(root);
@@ -90,10 +96,14 @@ About us intro text
 describe("ContentCollector", () => {
   let testRoot;
 
-  beforeAll(async () => {
+  beforeEach(async () => {
     testRoot = await createTestStructure();
   });
 
+  afterEach(async () => {
+    await rm(testRoot, { recursive: true, force: true });
+  });
+
   test("collects site structure correctly", async () => {
     const collector = new ContentCollector();
     const result = await collector.collect(testRoot);
@@ -156,16 +166,17 @@ No prefix content
     });
   });
 
-  test("collects errors in development mode", async () => {
+  test("reports diagnostics in every environment", async () => {
     // Save current NODE_ENV
     const originalEnv = process.env.NODE_ENV;
-    process.env.NODE_ENV = "development";
+    process.env.NODE_ENV = "production";
 
     // Create invalid markdown file
     await writeFile(
       join(testRoot, "pages", "home", "3-invalid.md"),
       `---
-invalid yaml
+title: ok
+  bad: indentation
 ---
     `
     );
@@ -173,16 +184,357 @@ invalid yaml
     const collector = new ContentCollector();
     const result = await collector.collect(testRoot);
 
-    expect(result.errors).toBeDefined();
-    // expect(result.errors.length).toBeGreaterThan(0);
-    // expect(result.errors[0]).toMatchObject({
-    //   page: expect.any(String),
-    //   message: expect.any(String),
-    // });
+    expect(result.diagnostics).toBeDefined();
+    expect(result.diagnostics[0]).toMatchObject({
+      severity: "error",
+      code: "front-matter-invalid",
+      file: join(testRoot, "pages", "home", "3-invalid.md"),
+      line: expect.any(Number),
+      page: "home",
+    });
+    expect(result.diagnostics[0].stack).toBeUndefined();
 
     // Restore NODE_ENV
     process.env.NODE_ENV = originalEnv;
   });
 
+  test("throws a CollectionError in strict mode", async () => {
+    await writeFile(
+      join(testRoot, "pages", "home", "3-invalid.md"),
+      "---\ntitle: ok\n  bad: indentation\n---\n"
+    );
+    const collector = new ContentCollector({ strict: true });
+
+    await expect(collector.collect(testRoot)).rejects.toMatchObject({
+      name: "CollectionError",
+      diagnostics: expect.arrayContaining([
+        expect.objectContaining({ code: "front-matter-invalid" }),
+      ]),
+    });
+  });
+
+  test("runs transformer hooks on sections, pages and output", async () => {
+    class TestTransformer extends TransformerPlugin {
+      async transformSection(section) {
+        if (section.component === "FeatureDetail") return null;
+        return { ...section, seen: true };
+      }
+
+      async transformPage(page) {
+        if (page.route === "/about") return null;
+        return { ...page, route: page.route + "index" };
+      }
+
+      async transform(output) {
+        output.transformed = true;
+      }
+    }
+
+    const afterCollect = jest.fn();
+    const collector = new ContentCollector();
+    collector.use(new TestTransformer());
+    collector.use({ afterCollect });
+
+    const result = await collector.collect(testRoot);
+
+    expect(result.transformed).toBe(true);
+    expect(result.pages.map((p) => p.route)).toEqual(["/index"]);
+
+    const features = result.pages[0].sections.find((s) => s.id === "2");
+    expect(features.seen).toBe(true);
+    expect(features.subsections).toHaveLength(0);
+
+    expect(afterCollect).toHaveBeenCalledWith(expect.any(Object), result);
+  });
+
+  test("collects translations with fallback to the default locale", async () => {
+    const root = join(tmpdir(), "content-collector-i18n-test-" + Date.now());
+    const pages = join(root, "pages");
+
+    await mkdir(join(pages, "home"), { recursive: true });
+    await mkdir(join(pages, "fr", "contact"), { recursive: true });
+    await writeFile(
+      join(root, "site.yml"),
+      "defaultLanguage: en\nlanguages: [en, fr]\n"
+    );
+    await writeFile(join(pages, "home", "page.yml"), "title: Home\n");
+    await writeFile(join(pages, "home", "page.fr.yml"), "title: Accueil\n");
+    await writeFile(join(pages, "home", "1-hero.md"), "# Welcome\n");
+    await writeFile(join(pages, "home", "1-hero.fr.md"), "# Bienvenue\n");
+    await writeFile(join(pages, "home", "2-news.md"), "# News\n");
+    await writeFile(join(pages, "fr", "contact", "1-form.md"), "# Contact\n");
+
+    const result = await new ContentCollector().collect(root);
+
+    expect(result.locale).toBe("en");
+    expect(result.locales).toEqual(["en", "fr"]);
+    expect(result.pages.map((p) => p.route)).toEqual(["/"]);
+    expect(result.pages[0].sections).toHaveLength(2);
+
+    const fr = result.translations.fr;
+    const home = fr.pages.find((p) => p.route === "/fr");
+    expect(home.title).toBe("Accueil");
+    expect(home.sections.map((s) => s.id)).toEqual(["1", "2"]);
+    expect(home.alternates).toEqual([
+      { locale: "en", route: "/" },
+      { locale: "fr", route: "/fr" },
+    ]);
+    expect(fr.pages.map((p) => p.route)).toContain("/fr/contact");
+  });
+
+  test("routes the pages of a locale tree from the locale root", async () => {
+    const root = join(tmpdir(), "content-collector-tree-test-" + Date.now());
+    const pages = join(root, "pages");
+
+    await mkdir(join(pages, "home"), { recursive: true });
+    await mkdir(join(pages, "fr", "home"), { recursive: true });
+    await mkdir(join(pages, "fr", "2-equipe"), { recursive: true });
+    await writeFile(
+      join(root, "site.yml"),
+      "defaultLanguage: en\nlanguages: [en, fr]\n"
+    );
+    await writeFile(join(pages, "home", "1-hero.md"), "# Welcome\n");
+    await writeFile(join(pages, "fr", "home", "page.yml"), "title: Accueil\n");
+    await writeFile(join(pages, "fr", "home", "1-hero.md"), "# Bienvenue\n");
+    await writeFile(join(pages, "fr", "2-equipe", "1-intro.md"), "# Nous\n");
+
+    const result = await new ContentCollector().collect(root);
+    const fr = result.translations.fr;
+
+    expect(fr.pages.map((p) => p.route)).toEqual(["/fr", "/fr/equipe"]);
+    expect(fr.pages[0].title).toBe("Accueil");
+    expect(fr.pages[0].alternates).toEqual([
+      { locale: "en", route: "/" },
+      { locale: "fr", route: "/fr" },
+    ]);
+    expect(fr.navigation[0].route).toBe("/fr");
+
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test("skips drafts and content outside its schedule", async () => {
+    const home = join(testRoot, "pages", "home");
+    await writeFile(
+      join(home, "3-launch.md"),
+      "---\npublishAt: 2030-01-01T00:00:00Z\n---\n# Launch\n"
+    );
+    await writeFile(join(home, "4-wip.md"), "---\ndraft: true\n---\n# WIP\n");
+
+    const collector = new ContentCollector({ now: "2024-01-01T00:00:00Z" });
+    const result = await collector.collect(testRoot);
+    const ids = result.pages
+      .find((p) => p.route === "/")
+      .sections.map((s) => s.id);
+
+    expect(ids).not.toContain("3");
+    expect(ids).not.toContain("4");
+    expect(result.nextScheduledChange).toBe("2030-01-01T00:00:00.000Z");
+
+    const preview = new ContentCollector({
+      now: "2031-01-01T00:00:00Z",
+      drafts: true,
+    });
+    const later = await preview.collect(testRoot);
+    expect(
+      later.pages.find((p) => p.route === "/").sections.map((s) => s.id)
+    ).toEqual(expect.arrayContaining(["3", "4"]));
+  });
+
+  test("records when pages changed and marks previewed draft pages", async () => {
+    const about = join(testRoot, "pages", "about");
+    await writeFile(join(about, "page.yml"), "title: About Us\ndraft: true\n");
+
+    const collector = new ContentCollector({ drafts: true });
+    const result = await collector.collect(testRoot);
+    const page = result.pages.find((p) => p.route === "/about");
+
+    expect(page.draft).toBe(true);
+    expect(new Date(page.lastModified).getTime()).toBeGreaterThan(
+      Date.now() - 60000
+    );
+    expect(result.pages.find((p) => p.route === "/").draft).toBeUndefined();
+  });
+
+  test("resolves the meta of each page", async () => {
+    const collector = new ContentCollector({ baseUrl: "https://example.com" });
+    const result = await collector.collect(testRoot);
+    const home = result.pages.find((p) => p.route === "/");
+
+    expect(home.meta).toMatchObject({
+      title: "Home Page",
+      description: "Welcome to the test site",
+      canonical: "https://example.com/",
+    });
+    // Falls back to the first paragraph
+    expect(result.pages.find((p) => p.route === "/about").meta).toMatchObject({
+      title: "About Us",
+      description: "About us intro text",
+    });
+  });
+
+  test("inlines shared snippets and records where they come from", async () => {
+    const root = join(tmpdir(), "content-collector-include-test-" + Date.now());
+    const pages = join(root, "pages");
+
+    await mkdir(join(pages, "home"), { recursive: true });
+    await mkdir(join(pages, "@shared", "cta"), { recursive: true });
+    await writeFile(join(root, "site.yml"), "name: Test\n");
+    await writeFile(
+      join(pages, "@shared", "cta", "signup.md"),
+      "---\ncomponent: Cta\nbutton: Join\n---\n# Sign up\n"
+    );
+    await writeFile(join(pages, "@shared", "legal.md"), "Legal notice\n");
+    await writeFile(join(pages, "@shared", "a.md"), "::include{b}\n");
+    await writeFile(join(pages, "@shared", "b.md"), "::include{a}\n");
+    await writeFile(
+      join(pages, "home", "1-signup.md"),
+      "---\ninclude: cta/signup\nbutton: Go\n---\nText\n\n::include{legal}\n"
+    );
+    await mkdir(join(pages, "loop"));
+    await writeFile(join(pages, "loop", "1-loop.md"), "::include{a}\n");
+
+    const result = await new ContentCollector().collect(root);
+
+    expect(result.pages.map((p) => p.route)).toEqual(["/"]);
+
+    const [signup] = result.pages[0].sections;
+    expect(signup.component).toBe("Cta");
+    expect(signup.params).toEqual({ button: "Go" });
+    expect(signup.content.content).toHaveLength(3);
+    expect(signup.includes).toEqual([
+      {
+        snippet: "cta/signup",
+        file: join("pages", "@shared", "cta", "signup.md"),
+        via: "front-matter",
+      },
+      {
+        snippet: "legal",
+        file: join("pages", "@shared", "legal.md"),
+        via: "directive",
+      },
+    ]);
+
+    expect(result.diagnostics).toContainEqual(
+      expect.objectContaining({
+        code: "include-cycle",
+        message: expect.stringMatching(/a\.md -> .*b\.md -> .*a\.md/),
+      })
+    );
+  });
+
+  test("inherits sections and metadata from a template page", async () => {
+    const root = join(tmpdir(), "content-collector-extends-test-" + Date.now());
+    const pages = join(root, "pages");
+
+    await mkdir(join(pages, "templates", "landing"), { recursive: true });
+    await mkdir(join(pages, "product"), { recursive: true });
+    await mkdir(join(pages, "loop"), { recursive: true });
+    await writeFile(join(root, "site.yml"), "name: Test\n");
+    await writeFile(join(pages, "templates", "page.yml"), "hidden: true\n");
+    await writeFile(
+      join(pages, "templates", "landing", "page.yml"),
+      "hidden: true\nlayout: wide\nseo:\n  image: a.jpg\n  noindex: true\n"
+    );
+    await writeFile(
+      join(pages, "templates", "landing", "1-hero.md"),
+      "---\ncomponent: Hero\n---\n# Template hero\n"
+    );
+    await writeFile(
+      join(pages, "templates", "landing", "2-cta.md"),
+      "---\ncomponent: Cta\n---\n# Sign up\n"
+    );
+    await writeFile(
+      join(pages, "product", "page.yml"),
+      "extends: templates/landing\ntitle: Product\nseo:\n  noindex: false\n"
+    );
+    await writeFile(
+      join(pages, "product", "1-hero.md"),
+      "---\ncomponent: Hero\n---\n# Product hero\n"
+    );
+    await writeFile(join(pages, "loop", "page.yml"), "extends: loop\n");
+
+    const result = await new ContentCollector().collect(root);
+    const product = result.pages.find((p) => p.route === "/product");
+
+    expect(product).toMatchObject({
+      title: "Product",
+      layout: "wide",
+      seo: { image: "a.jpg", noindex: false },
+    });
+    expect(product.hidden).toBeUndefined();
+    expect(product.extends).toBeUndefined();
+    expect(product.sections.map((s) => s.component)).toEqual(["Hero", "Cta"]);
+    expect(product.sections[0].content.content[0].content[0].text).toBe(
+      "Product hero"
+    );
+
+    expect(result.diagnostics).toContainEqual(
+      expect.objectContaining({
+        code: "template-failed",
+        message: expect.stringContaining("Template cycle: loop -> loop"),
+      })
+    );
+  });
+
+  test("generates listing pages for collection pages", async () => {
+    const root = join(tmpdir(), "content-collector-collection-" + Date.now());
+    const news = join(root, "pages", "news");
+
+    await mkdir(news, { recursive: true });
+    await writeFile(join(root, "site.yml"), "name: Test\n");
+    await writeFile(
+      join(news, "page.yml"),
+      "title: News\ncollection:\n  sort: date\n  perPage: 1\n"
+    );
+    for (const [slug, date] of [
+      ["first", "2024-01-01"],
+      ["second", "2024-02-01"],
+    ]) {
+      await mkdir(join(news, slug));
+      await writeFile(
+        join(news, slug, "1-post.md"),
+        `---\ndate: ${date}\ntags: [Updates]\n---\n# ${slug}\n\nBody\n`
+      );
+    }
+
+    const result = await new ContentCollector().collect(root);
+    const page = result.pages.find((p) => p.route === "/news");
+
+    expect(page.listing.items.map((item) => item.title)).toEqual(["second"]);
+    expect(page.subpages.map((p) => p.route)).toEqual([
+      "/news/first",
+      "/news/second",
+      "/news/page/2",
+      "/news/tags",
+      "/news/tags/updates",
+      "/news/tags/updates/page/2",
+      "/news/categories",
+    ]);
+    expect(result.navigation[0].children).toHaveLength(2);
+  });
+
+  test("keeps the files emitted by plugins during the last run", async () => {
+    const collector = new ContentCollector();
+    collector.use({
+      name: "emitter",
+      async afterCollect(context, output) {
+        context.emitAsset("data/pages.txt", String(output.pages.length));
+      },
+    });
+
+    await collector.collect(testRoot);
+    expect([...collector.assets]).toEqual([["data/pages.txt", "2"]]);
+
+    collector.use({
+      name: "escaper",
+      async afterCollect(context) {
+        context.emitAsset("../outside.txt", "");
+      },
+    });
+    await expect(collector.collect(testRoot)).rejects.toThrow(
+      /Invalid asset file name/
+    );
+  });
+
   // Add more tests as needed...
 });
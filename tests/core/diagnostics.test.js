@@ -0,0 +1,109 @@
+// tests/core/diagnostics.test.js
+import {
+  Diagnostics,
+  CollectionError,
+  CODES,
+  formatDiagnostic,
+} from "../../src/core/diagnostics.js";
+import { createError } from "../../src/core/utils.js";
+
+describe("Diagnostics", () => {
+  test("records entries by severity", () => {
+    const diagnostics = new Diagnostics();
+
+    diagnostics.error("bad", "Something broke", { file: "/a.md" });
+    diagnostics.warning("meh", "Something is odd");
+    diagnostics.info("note", "Something happened", { plugin: undefined });
+
+    expect(diagnostics.length).toBe(3);
+    expect(diagnostics.hasErrors()).toBe(true);
+    expect(diagnostics.errors).toHaveLength(1);
+    expect(diagnostics.warnings).toHaveLength(1);
+    expect(diagnostics.toJSON()[2]).toEqual({
+      severity: "info",
+      code: "note",
+      message: "Something happened",
+    });
+  });
+
+  test("rejects unknown severities", () => {
+    const diagnostics = new Diagnostics();
+    expect(() => diagnostics.add({ severity: "fatal" })).toThrow(/severity/);
+  });
+
+  test("extracts location and code from the cause chain", () => {
+    const diagnostics = new Diagnostics();
+    const inner = createError("Invalid front matter", {
+      code: CODES.FRONT_MATTER_INVALID,
+      line: 3,
+      column: 5,
+    });
+    const outer = createError("Failed to process section 1", {
+      cause: inner,
+      code: CODES.SECTION_FAILED,
+      path: "/site/pages/home/1-hero.md",
+    });
+
+    const item = diagnostics.fromError(outer, {
+      code: CODES.PAGE_FAILED,
+      page: "home",
+    });
+
+    expect(item).toMatchObject({
+      severity: "error",
+      code: CODES.FRONT_MATTER_INVALID,
+      file: "/site/pages/home/1-hero.md",
+      line: 3,
+      column: 5,
+      page: "home",
+      message: "Failed to process section 1: Invalid front matter",
+    });
+  });
+
+  test("ignores system error codes", () => {
+    const diagnostics = new Diagnostics();
+    const error = createError("no such file", { code: "ENOENT" });
+
+    const item = diagnostics.fromError(error, { code: CODES.PAGE_FAILED });
+    expect(item.code).toBe(CODES.PAGE_FAILED);
+  });
+
+  test("clears entries", () => {
+    const diagnostics = new Diagnostics();
+    diagnostics.error("bad", "Something broke");
+    diagnostics.clear();
+
+    expect(diagnostics.length).toBe(0);
+    expect(diagnostics.hasErrors()).toBe(false);
+  });
+
+  test("formats diagnostics as a single line", () => {
+    expect(
+      formatDiagnostic({
+        severity: "error",
+        code: "front-matter-invalid",
+        message: "bad indentation",
+        file: "pages/home/1-hero.md",
+        line: 3,
+        column: 5,
+        plugin: "MyPlugin",
+      })
+    ).toBe(
+      "pages/home/1-hero.md:3:5 error front-matter-invalid: bad indentation [MyPlugin]"
+    );
+  });
+
+  test("aggregates error diagnostics into a CollectionError", () => {
+    const diagnostics = new Diagnostics();
+    diagnostics.error("bad", "Something broke", { file: "/a.md" });
+    diagnostics.warning("meh", "Something is odd");
+
+    const error = new CollectionError(diagnostics.toJSON());
+
+    expect(error).toBeInstanceOf(AggregateError);
+    expect(error.message).toMatch(/1 error/);
+    expect(error.errors).toHaveLength(1);
+    expect(error.errors[0].message).toBe("/a.md error bad: Something broke");
+    expect(error.diagnostics).toHaveLength(2);
+  });
+});
@@ -0,0 +1,129 @@
+// tests/core/file-cache.test.js
+import { jest } from "@jest/globals";
+import { join } from "node:path";
+import { mkdir, stat, writeFile, utimes } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { FileCache } from "../../src/core/file-cache.js";
+
+describe("FileCache", () => {
+  let root;
+
+  beforeAll(async () => {
+    root = join(tmpdir(), "file-cache-test-" + Date.now());
+    await mkdir(root);
+  });
+
+  test("reuses values while dependencies are unchanged", async () => {
+    const file = join(root, "a.md");
+    await writeFile(file, "# A");
+
+    const cache = new FileCache();
+    const compute = jest.fn(async () => ({ title: "A" }));
+
+    const first = await cache.load(file, [file], compute);
+    const second = await cache.load(file, [file], compute);
+
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(second).toEqual(first);
+    expect(second).not.toBe(first);
+  });
+
+  test("recomputes when a dependency changes", async () => {
+    const file = join(root, "b.md");
+    const config = join(root, "page.yml");
+    await writeFile(file, "# B");
+    await writeFile(config, "title: B");
+
+    const cache = new FileCache();
+    const compute = jest.fn(async () => ({}));
+
+    await cache.load(file, [file, config], compute);
+
+    const later = new Date(Date.now() + 5000);
+    await writeFile(config, "title: Changed");
+    await utimes(config, later, later);
+
+    await cache.load(file, [file, config], compute);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  test("detects content changes in hash mode", async () => {
+    const file = join(root, "c.md");
+    await writeFile(file, "one");
+
+    const cache = new FileCache({ hash: true });
+    const compute = jest.fn(async () => ({}));
+
+    await cache.load(file, [file], compute);
+    await writeFile(file, "two");
+    await cache.load(file, [file], compute);
+
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  test("invalidates entries that depend on a path", async () => {
+    const file = join(root, "d.md");
+    const config = join(root, "page.yml");
+    await writeFile(file, "# D");
+
+    const cache = new FileCache();
+    const compute = jest.fn(async () => ({}));
+
+    await cache.load(file, [file, config], compute);
+    expect(cache.invalidate(config)).toBe(1);
+    expect(cache.size).toBe(0);
+
+    await cache.load(file, [file, config], compute);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  test("prunes entries not used since the last prune", async () => {
+    const kept = join(root, "f.md");
+    const deleted = join(root, "g.md");
+    await writeFile(kept, "# F");
+    await writeFile(deleted, "# G");
+
+    const cache = new FileCache();
+    const compute = jest.fn(async () => ({}));
+
+    await cache.load(kept, [kept], compute);
+    await cache.load(deleted, [deleted], compute);
+    expect(cache.prune()).toBe(0);
+
+    await cache.load(kept, [kept], compute);
+    expect(cache.prune()).toBe(1);
+    expect(cache.size).toBe(1);
+
+    await cache.load(kept, [kept], compute);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  test("reports the modification times seen since the last prune", async () => {
+    const file = join(root, "h.md");
+    await writeFile(file, "# H");
+
+    const cache = new FileCache();
+    expect(cache.getModifiedTime(file)).toBeUndefined();
+
+    await cache.load(file, [file], async () => ({}));
+    const { mtimeMs } = await stat(file);
+    expect(cache.getModifiedTime(file)).toBe(mtimeMs);
+
+    cache.prune();
+    expect(cache.getModifiedTime(file)).toBeUndefined();
+  });
+
+  test("always recomputes when disabled", async () => {
+    const file = join(root, "e.md");
+    await writeFile(file, "# E");
+
+    const cache = new FileCache({ enabled: false });
+    const compute = jest.fn(async () => ({}));
+
+    await cache.load(file, [file], compute);
+    await cache.load(file, [file], compute);
+
+    expect(compute).toHaveBeenCalledTimes(2);
+    expect(cache.size).toBe(0);
+  });
+});
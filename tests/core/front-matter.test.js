@@ -0,0 +1,138 @@
+// tests/core/front-matter.test.js
+import { parseFrontMatter } from "../../src/core/front-matter.js";
+
+describe("parseFrontMatter", () => {
+  test("parses YAML front matter", () => {
+    const result = parseFrontMatter("---\ncomponent: Hero\n---\n# Title\n");
+
+    expect(result).toEqual({
+      data: { component: "Hero" },
+      body: "# Title\n",
+      format: "yaml",
+      bodyLine: 4,
+      bodyOffset: 24,
+    });
+  });
+
+  test("handles CRLF line endings", () => {
+    const result = parseFrontMatter("---\r\ntitle: A\r\n---\r\nBody\r\n");
+
+    expect(result.data).toEqual({ title: "A" });
+    expect(result.body).toBe("Body\r\n");
+    expect(result.bodyLine).toBe(4);
+  });
+
+  test("ignores indented delimiters and thematic breaks in the body", () => {
+    const content = [
+      "---",
+      "note: |",
+      "  before",
+      "  ---",
+      "  after",
+      "---",
+      "One",
+      "",
+      "---",
+      "",
+      "Two",
+    ].join("\n");
+
+    const result = parseFrontMatter(content);
+
+    expect(result.data.note).toBe("before\n---\nafter\n");
+    expect(result.body).toBe("One\n\n---\n\nTwo");
+    expect(result.bodyLine).toBe(7);
+  });
+
+  test("accepts '...' as the closing YAML delimiter", () => {
+    const result = parseFrontMatter("---\na: 1\n...\nBody");
+    expect(result.data).toEqual({ a: 1 });
+    expect(result.body).toBe("Body");
+  });
+
+  test("parses TOML front matter", () => {
+    const result = parseFrontMatter('+++\ntitle = "News"\ntags = ["a"]\n+++\nBody');
+
+    expect(result.format).toBe("toml");
+    expect(result.data).toEqual({ title: "News", tags: ["a"] });
+    expect(result.body).toBe("Body");
+  });
+
+  test("parses JSON front matter between ;;; lines", () => {
+    const result = parseFrontMatter(';;;\n{ "title": "A" }\n;;;\nBody');
+
+    expect(result.format).toBe("json");
+    expect(result.data).toEqual({ title: "A" });
+    expect(result.body).toBe("Body");
+  });
+
+  test("parses a bare JSON object", () => {
+    const content = '{\n  "title": "A {brace}",\n  "n": 1\n}\nBody';
+    const result = parseFrontMatter(content);
+
+    expect(result.data).toEqual({ title: "A {brace}", n: 1 });
+    expect(result.body).toBe("Body");
+    expect(result.bodyLine).toBe(5);
+  });
+
+  test("treats a leading brace that is not a JSON object as body", () => {
+    const content = "{{ greeting }}, welcome!\n\nText";
+    const result = parseFrontMatter(content);
+
+    expect(result.format).toBeNull();
+    expect(result.data).toEqual({});
+    expect(result.body).toBe(content);
+    expect(parseFrontMatter("{ title: A }\nBody").format).toBeNull();
+  });
+
+  test("returns the whole file when there is no front matter", () => {
+    const result = parseFrontMatter("# Title\n\n---\n\nText");
+
+    expect(result.data).toEqual({});
+    expect(result.format).toBeNull();
+    expect(result.body).toBe("# Title\n\n---\n\nText");
+  });
+
+  test("treats an unclosed fence as body", () => {
+    const result = parseFrontMatter("---\n\nJust a break");
+    expect(result.format).toBeNull();
+    expect(result.body).toBe("---\n\nJust a break");
+  });
+
+  test("reports byte offsets for multi-byte content", () => {
+    const result = parseFrontMatter("﻿---\ntitle: café\n---\nBody");
+
+    expect(result.data.title).toBe("café");
+    expect(result.bodyOffset).toBe(3 + 4 + 13 + 4);
+  });
+
+  test("reports the line and column of YAML errors", () => {
+    const content = "---\ntitle: ok\n  bad: indentation\n---\n";
+
+    expect(() =>
+      parseFrontMatter(content, { path: "/site/pages/home/1-hero.md" })
+    ).toThrow(
+      expect.objectContaining({
+        code: "front-matter-invalid",
+        path: "/site/pages/home/1-hero.md",
+        line: 3,
+        column: expect.any(Number),
+      })
+    );
+  });
+
+  test("reports the line of TOML and JSON errors", () => {
+    expect(() => parseFrontMatter("+++\na = 1\nb = = 2\n+++\n")).toThrow(
+      expect.objectContaining({ line: 3 })
+    );
+    expect(() => parseFrontMatter(';;;\n{\n  "a": 1,\n}\n;;;\n')).toThrow(
+      expect.objectContaining({ line: 4 })
+    );
+  });
+
+  test("rejects front matter that is not an object", () => {
+    expect(() => parseFrontMatter("---\n- a\n- b\n---\n")).toThrow(
+      /key-value object/
+    );
+  });
+});
@@ -0,0 +1,50 @@
+// tests/core/includes.test.js
+import {
+  toIncludeList,
+  getSnippetPath,
+  getDirective,
+  expandDirectives,
+} from "../../src/core/includes.js";
+
+const paragraph = (text) => ({
+  type: "paragraph",
+  content: [{ type: "text", text }],
+});
+
+describe("includes", () => {
+  test("normalizes include front matter", () => {
+    expect(toIncludeList(undefined)).toEqual([]);
+    expect(toIncludeList("cta/signup")).toEqual(["cta/signup"]);
+    expect(toIncludeList(["a", "b"])).toEqual(["a", "b"]);
+    expect(() => toIncludeList([1])).toThrow(/Invalid include/);
+  });
+
+  test("maps snippet names to library paths", () => {
+    expect(getSnippetPath("cta/signup")).toBe("cta/signup.md");
+    expect(getSnippetPath("legal.md")).toBe("legal.md");
+    expect(() => getSnippetPath("../secrets")).toThrow(/stay in the library/);
+    expect(() => getSnippetPath("/etc/passwd")).toThrow(/stay in the library/);
+  });
+
+  test("recognizes directive paragraphs only", () => {
+    expect(getDirective(paragraph("::include{cta/signup}"))).toBe("cta/signup");
+    expect(getDirective(paragraph("See ::include{cta/signup}"))).toBeNull();
+    expect(getDirective({ type: "heading", content: [] })).toBeNull();
+  });
+
+  test("replaces directives with snippet nodes", async () => {
+    const doc = {
+      type: "doc",
+      content: [paragraph("Intro"), paragraph("::include{legal}")],
+    };
+    const resolve = async (name) => [paragraph(`${name} text`)];
+
+    expect(await expandDirectives(doc, resolve)).toEqual({
+      type: "doc",
+      content: [paragraph("Intro"), paragraph("legal text")],
+    });
+
+    const plain = { type: "doc", content: [paragraph("Intro")] };
+    expect(await expandDirectives(plain, resolve)).toBe(plain);
+  });
+});
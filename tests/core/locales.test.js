@@ -0,0 +1,79 @@
+// tests/core/locales.test.js
+import {
+  PAGE_KEY,
+  getLocales,
+  parseLocaleSuffix,
+  selectSectionFiles,
+  localizeFilename,
+  localizeRoute,
+  addAlternates,
+} from "../../src/core/locales.js";
+
+describe("locales", () => {
+  test("reads the declared locales, default first", () => {
+    expect(
+      getLocales({ defaultLanguage: "fr", languages: ["en", "fr"] })
+    ).toEqual({ defaultLocale: "fr", locales: ["fr", "en"] });
+    expect(getLocales({ defaultLanguage: "en" })).toEqual({
+      defaultLocale: "en",
+      locales: [],
+    });
+  });
+
+  test("only treats declared locales as file suffixes", () => {
+    const locales = ["en", "fr"];
+    expect(parseLocaleSuffix("1-hero.fr.md", locales)).toEqual({
+      base: "1-hero.md",
+      locale: "fr",
+    });
+    expect(parseLocaleSuffix("1-v1.2.md", locales)).toEqual({
+      base: "1-v1.2.md",
+      locale: null,
+    });
+  });
+
+  test("selects localized section files with fallback", () => {
+    const files = [
+      "2-news.md",
+      "1-hero.md",
+      "1-hero.fr.md",
+      "1-hero.de.md",
+      "3-promo.fr.md",
+    ];
+    const locales = ["en", "fr", "de"];
+
+    expect(selectSectionFiles(files, "fr", locales)).toEqual([
+      "1-hero.fr.md",
+      "2-news.md",
+      "3-promo.fr.md",
+    ]);
+    expect(selectSectionFiles(files, "en", locales)).toEqual([
+      "1-hero.md",
+      "2-news.md",
+    ]);
+  });
+
+  test("localizes listed files and routes", () => {
+    const files = ["1-hero.md", "1-hero.fr.md", "2-news.md"];
+    expect(localizeFilename("1-hero.md", "fr", files)).toBe("1-hero.fr.md");
+    expect(localizeFilename("2-news.md", "fr", files)).toBe("2-news.md");
+
+    expect(localizeRoute("/", "fr")).toBe("/fr");
+    expect(localizeRoute("/about", "fr")).toBe("/fr/about");
+  });
+
+  test("links translated pages to each other", () => {
+    const team = { route: "/about/team", [PAGE_KEY]: "about/team" };
+    const about = { route: "/about", subpages: [team], [PAGE_KEY]: "about" };
+    const apropos = { route: "/fr/about", [PAGE_KEY]: "about" };
+
+    addAlternates({ en: [about], fr: [apropos] });
+
+    expect(about.alternates).toEqual([
+      { locale: "en", route: "/about" },
+      { locale: "fr", route: "/fr/about" },
+    ]);
+    expect(apropos.alternates).toEqual(about.alternates);
+    expect(team.alternates).toEqual([{ locale: "en", route: "/about/team" }]);
+  });
+});
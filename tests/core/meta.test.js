@@ -0,0 +1,114 @@
+// tests/core/meta.test.js
+import { resolveMeta, addMeta } from "../../src/core/meta.js";
+import { Diagnostics, CODES } from "../../src/core/diagnostics.js";
+
+const doc = (...content) => ({ type: "doc", content });
+const text = (value) => ({ type: "text", text: value });
+const heading = (level, value) => ({
+  type: "heading",
+  attrs: { level },
+  content: [text(value)],
+});
+
+function page(route, content, extra = {}) {
+  return {
+    route,
+    sections: [{ id: "1", params: {}, content, subsections: [] }],
+    ...extra,
+  };
+}
+
+const SITE = {
+  name: "Acme",
+  meta: {
+    titleTemplate: "%s | Acme",
+    description: "Tools for builders",
+    image: "/share.png",
+  },
+};
+
+describe("meta", () => {
+  test("falls back to the first H1, paragraph and image", () => {
+    const meta = resolveMeta(
+      page(
+        "/about",
+        doc(
+          heading(2, "Kicker"),
+          heading(1, "About us"),
+          { type: "paragraph", content: [text("We build tools.")] },
+          { type: "image", attrs: { src: "/team.jpg" } }
+        )
+      ),
+      SITE,
+      { baseUrl: "https://example.com/", locale: "en" }
+    );
+
+    expect(meta).toEqual({
+      title: "About us | Acme",
+      description: "We build tools.",
+      image: "https://example.com/team.jpg",
+      canonical: "https://example.com/about",
+      type: "website",
+      siteName: "Acme",
+      locale: "en",
+    });
+  });
+
+  test("skips content images without a URL", () => {
+    const content = (...srcs) =>
+      doc(...srcs.map((src) => ({ type: "image", attrs: { src } })));
+    const options = { baseUrl: "https://example.com" };
+
+    expect(
+      resolveMeta(page("/a", content("photo.jpg", "/b.jpg")), SITE, options)
+        .image
+    ).toBe("https://example.com/b.jpg");
+    expect(
+      resolveMeta(page("/a", content("./photo.jpg")), SITE, options).image
+    ).toBe("https://example.com/share.png");
+    expect(
+      resolveMeta(page("/a", content("data:image/png;base64,AA")), {}).image
+    ).toBeUndefined();
+  });
+
+  test("prefers page.yml values, then site defaults", () => {
+    const meta = resolveMeta(
+      page("/a", doc(), {
+        title: "A",
+        meta: { description: "Own", canonical: "/b", noindex: true },
+      }),
+      SITE
+    );
+
+    expect(meta.title).toBe("A | Acme");
+    expect(meta.description).toBe("Own");
+    expect(meta.image).toBe("/share.png");
+    expect(meta.canonical).toBe("/b");
+    expect(meta.noindex).toBe(true);
+
+    const untitled = resolveMeta(page("/b", doc()), SITE);
+    expect(untitled.title).toBe("Acme");
+    expect(untitled.description).toBe("Tools for builders");
+    expect(untitled.canonical).toBeUndefined();
+  });
+
+  test("warns about missing and long titles and descriptions", () => {
+    const diagnostics = new Diagnostics();
+    const pages = [
+      page("/", doc(heading(1, "Home")), { description: "x".repeat(200) }),
+      page("/untitled", doc(), {
+        subpages: [page("/untitled/generated", doc(), { generated: true })],
+      }),
+      page("/hidden", doc(), { noindex: true }),
+    ];
+
+    addMeta(pages, { name: "Acme" }, { diagnostics });
+
+    expect(pages[1].subpages[0].meta.title).toBe("Acme");
+    expect(diagnostics.toJSON().map(({ code, page }) => [code, page])).toEqual([
+      [CODES.META_TOO_LONG, "/"],
+      [CODES.META_MISSING, "/untitled"],
+      [CODES.META_MISSING, "/untitled"],
+    ]);
+  });
+});
@@ -0,0 +1,111 @@
+// tests/core/navigation.test.js
+import { buildNavigation } from "../../src/core/navigation.js";
+
+function createPages() {
+  return [
+    { route: "/", title: "Home" },
+    {
+      route: "/docs",
+      title: "Documentation",
+      menuTitle: "Docs",
+      subpages: [
+        { route: "/docs/start", title: "Getting Started" },
+        {
+          route: "/docs/api",
+          title: "API",
+          subpages: [{ route: "/docs/api/cli", title: "CLI" }],
+        },
+      ],
+    },
+    {
+      route: "/legal",
+      title: "Legal",
+      hideInMenu: true,
+      subpages: [{ route: "/legal/privacy", title: "Privacy" }],
+    },
+    { route: "/contact", title: "Contact" },
+  ];
+}
+
+describe("buildNavigation", () => {
+  test("builds the menu tree", () => {
+    const navigation = buildNavigation(createPages());
+
+    expect(navigation).toEqual([
+      { title: "Home", route: "/", depth: 0, order: 0 },
+      {
+        title: "Docs",
+        route: "/docs",
+        depth: 0,
+        order: 1,
+        children: [
+          {
+            title: "Getting Started",
+            route: "/docs/start",
+            depth: 1,
+            order: 0,
+          },
+          {
+            title: "API",
+            route: "/docs/api",
+            depth: 1,
+            order: 1,
+            children: [
+              { title: "CLI", route: "/docs/api/cli", depth: 2, order: 0 },
+            ],
+          },
+        ],
+      },
+      { title: "Contact", route: "/contact", depth: 0, order: 2 },
+    ]);
+  });
+
+  test("adds breadcrumbs starting at the home page", () => {
+    const pages = createPages();
+    buildNavigation(pages);
+
+    const cli = pages[1].subpages[1].subpages[0];
+    expect(cli.breadcrumbs.map((link) => link.route)).toEqual([
+      "/",
+      "/docs",
+      "/docs/api",
+      "/docs/api/cli",
+    ]);
+    expect(pages[0].breadcrumbs).toEqual([{ title: "Home", route: "/" }]);
+
+    // Hidden pages still get breadcrumbs
+    const privacy = pages[2].subpages[0];
+    expect(privacy.breadcrumbs.map((link) => link.title)).toEqual([
+      "Home",
+      "Legal",
+      "Privacy",
+    ]);
+  });
+
+  test("links pages in menu order", () => {
+    const pages = createPages();
+    buildNavigation(pages);
+
+    const [home, docs, legal, contact] = pages;
+    const cli = docs.subpages[1].subpages[0];
+
+    expect(home.prev).toBeUndefined();
+    expect(home.next).toEqual({ title: "Docs", route: "/docs" });
+    expect(cli.next).toEqual({ title: "Contact", route: "/contact" });
+    expect(contact.prev).toEqual({ title: "CLI", route: "/docs/api/cli" });
+    expect(contact.next).toBeUndefined();
+    expect(legal.prev).toBeUndefined();
+    expect(legal.subpages[0].next).toBeUndefined();
+  });
+
+  test("starts breadcrumbs at a translated home page", () => {
+    const about = { title: "À propos", route: "/fr/about" };
+    const pages = [{ title: "Accueil", route: "/fr" }, about];
+    buildNavigation(pages, { homeRoute: "/fr" });
+
+    expect(about.breadcrumbs.map((link) => link.route)).toEqual([
+      "/fr",
+      "/fr/about",
+    ]);
+  });
+});
@@ -0,0 +1,70 @@
+// tests/core/plugin-loader.test.js
+import { join } from "node:path";
+import { mkdir, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { fileURLToPath } from "node:url";
+import { loadPlugins } from "../../src/core/plugin-loader.js";
+
+const pluginModule = fileURLToPath(
+  new URL("../../src/core/plugin.js", import.meta.url)
+);
+
+describe("loadPlugins", () => {
+  let rootDir;
+
+  beforeAll(async () => {
+    rootDir = join(tmpdir(), "plugin-loader-test-" + Date.now());
+    await mkdir(join(rootDir, "plugins"), { recursive: true });
+    await writeFile(join(rootDir, "package.json"), '{ "type": "module" }');
+
+    await writeFile(
+      join(rootDir, "plugins", "class.js"),
+      `import { CollectorPlugin } from ${JSON.stringify(pluginModule)};
+export default class Glossary extends CollectorPlugin {
+  static pluginName = "glossary";
+}
+`
+    );
+
+    await writeFile(
+      join(rootDir, "plugins", "factory.js"),
+      `export function createPlugin(options) {
+  return { name: "factory", options };
+}
+`
+    );
+
+    await writeFile(join(rootDir, "plugins", "empty.js"), "export {};\n");
+  });
+
+  test("keeps instances and loads modules with options", async () => {
+    const instance = { name: "instance" };
+
+    const plugins = await loadPlugins(
+      [
+        instance,
+        "./plugins/class.js",
+        ["./plugins/class.js", { name: "glossary-fr" }],
+        ["./plugins/factory.js", { level: 2 }],
+      ],
+      { rootDir }
+    );
+
+    expect(plugins[0]).toBe(instance);
+    expect(plugins[1].name).toBe("glossary");
+    expect(plugins[2].name).toBe("glossary-fr");
+    expect(plugins[3]).toEqual({ name: "factory", options: { level: 2 } });
+  });
+
+  test("reports modules that cannot be loaded", async () => {
+    await expect(
+      loadPlugins(["./plugins/empty.js"], { rootDir })
+    ).rejects.toThrow(/Failed to load collector plugin ".\/plugins\/empty.js"/);
+
+    await expect(
+      loadPlugins(["not-a-real-collector-plugin"], { rootDir })
+    ).rejects.toMatchObject({
+      cause: expect.objectContaining({ code: "MODULE_NOT_FOUND" }),
+    });
+  });
+});
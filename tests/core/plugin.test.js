@@ -6,6 +6,7 @@ import {
   LoaderPlugin,
   PluginRegistry,
 } from "../../src/core/plugin.js";
+import { Diagnostics } from "../../src/core/diagnostics.js";
 
 describe("Plugin System", () => {
   describe("PluginRegistry", () => {
@@ -17,11 +18,11 @@ describe("Plugin System", () => {
       expect(registry.get(plugin.constructor.name)).toBe(plugin);
     });
 
-    test.skip("handles plugin dependencies correctly", () => {
+    test("handles plugin dependencies correctly", () => {
       const registry = new PluginRegistry();
-      const pluginA = new CollectorPlugin();
-      const pluginB = new CollectorPlugin();
-      const pluginC = new CollectorPlugin();
+      const pluginA = new CollectorPlugin({ name: "PluginA" });
+      const pluginB = new CollectorPlugin({ name: "PluginB" });
+      const pluginC = new CollectorPlugin({ name: "PluginC" });
 
       // B depends on A, C depends on B
       registry
@@ -30,14 +31,14 @@ describe("Plugin System", () => {
         .register(pluginA);
 
       const orderedPlugins = registry.getOrderedPlugins();
-      const names = orderedPlugins.map((p) => p.constructor.name);
+      const names = orderedPlugins.map((p) => p.name);
 
       // Check that dependencies come before dependents
       expect(names.indexOf("PluginA")).toBeLessThan(names.indexOf("PluginB"));
       expect(names.indexOf("PluginB")).toBeLessThan(names.indexOf("PluginC"));
     });
 
-    test.skip("throws on circular dependencies", () => {
+    test("throws on circular dependencies", () => {
       const registry = new PluginRegistry();
       class PluginA extends CollectorPlugin {}
       class PluginB extends CollectorPlugin {}
@@ -47,9 +48,55 @@ describe("Plugin System", () => {
         .register(new PluginB(), ["PluginA"]);
 
       expect(() => registry.getOrderedPlugins()).toThrow(
-        /circular dependency/i
+        /circular dependency.*PluginA -> PluginB -> PluginA/i
       );
     });
+
+    test("throws on missing dependencies", () => {
+      const registry = new PluginRegistry();
+      registry.register(new CollectorPlugin({ name: "a", dependsOn: ["b"] }));
+
+      expect(() => registry.getOrderedPlugins()).toThrow(
+        /missing plugin dependency: a requires b/i
+      );
+    });
+
+    test("rejects duplicate names", () => {
+      const registry = new PluginRegistry();
+      registry.register(new CollectorPlugin());
+
+      expect(() => registry.register(new CollectorPlugin())).toThrow(
+        /already registered/
+      );
+      expect(() =>
+        registry.register(new CollectorPlugin({ name: "second" }))
+      ).not.toThrow();
+    });
+
+    test("uses declared names and ordering constraints", () => {
+      class First extends CollectorPlugin {
+        static pluginName = "first";
+        static before = ["last"];
+      }
+      class Last extends CollectorPlugin {
+        static pluginName = "last";
+      }
+      class Middle extends CollectorPlugin {
+        static pluginName = "middle";
+        static after = ["first", "not-registered"];
+        static before = ["last"];
+      }
+
+      const registry = new PluginRegistry();
+      registry
+        .register(new Last())
+        .register(new Middle())
+        .register(new First());
+
+      const names = registry.getOrderedPlugins().map((p) => p.name);
+      expect(names).toEqual(["first", "middle", "last"]);
+      expect(registry.get("middle")).toBeInstanceOf(Middle);
+    });
   });
 
   describe("ProcessorPlugin", () => {
@@ -123,28 +170,48 @@ describe("Plugin System", () => {
   describe("Error Handling", () => {
     test("adds errors to context", () => {
       const plugin = new CollectorPlugin();
-      const context = { errors: [] };
+      const context = { diagnostics: new Diagnostics() };
       const error = new Error("Test error");
 
       plugin.addError(context, error);
 
-      expect(context.errors[0]).toMatchObject({
+      expect(context.diagnostics.errors[0]).toMatchObject({
+        severity: "error",
+        code: "plugin-error",
         plugin: "CollectorPlugin",
         message: "Test error",
       });
     });
 
+    test("adds warnings with the current section as file", () => {
+      const plugin = new CollectorPlugin();
+      const context = {
+        diagnostics: new Diagnostics(),
+        currentSection: "/site/pages/home/1-hero.md",
+      };
+
+      plugin.addWarning(context, "Looks odd", { code: "odd-content" });
+
+      expect(context.diagnostics.warnings[0]).toEqual({
+        severity: "warning",
+        code: "odd-content",
+        message: "Looks odd",
+        file: "/site/pages/home/1-hero.md",
+        plugin: "CollectorPlugin",
+      });
+    });
+
     test("includes stack trace in development", () => {
       const originalEnv = process.env.NODE_ENV;
       process.env.NODE_ENV = "development";
 
       const plugin = new CollectorPlugin();
-      const context = { errors: [] };
+      const context = { diagnostics: new Diagnostics() };
       const error = new Error("Test error");
 
       plugin.addError(context, error);
 
-      expect(context.errors[0].stack).toBeDefined();
+      expect(context.diagnostics.errors[0].stack).toBeDefined();
 
       // Cleanup
       process.env.NODE_ENV = originalEnv;
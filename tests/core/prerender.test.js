@@ -0,0 +1,158 @@
+// tests/core/prerender.test.js
+import { prerenderSite, renderPage } from "../../src/core/prerender.js";
+
+const doc = (...content) => ({ type: "doc", content });
+const text = (value, marks) => ({ type: "text", text: value, marks });
+
+const TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <title>Website</title>
+    <meta name="description" content="Default" />
+  </head>
+  <body>
+    <div id="root"></div>
+    <script src="main.js"></script>
+  </body>
+</html>`;
+
+function site() {
+  return {
+    config: { name: "Acme" },
+    locale: "en",
+    pages: [
+      {
+        route: "/",
+        sections: [
+          {
+            id: "1",
+            content: doc(
+              { type: "heading", attrs: { level: 1 }, content: [text("Home")] },
+              {
+                type: "paragraph",
+                content: [
+                  text("Read <this> "),
+                  text("first", [{ type: "link", attrs: { href: "/about" } }]),
+                ],
+              },
+              { type: "image", attrs: { src: "/a.jpg" } }
+            ),
+            subsections: [],
+          },
+        ],
+        subpages: [
+          {
+            route: "/about",
+            title: "About",
+            description: "Who we are",
+            sections: [],
+          },
+        ],
+      },
+    ],
+    translations: {
+      fr: { pages: [{ route: "/fr", title: "Accueil", sections: [] }] },
+    },
+  };
+}
+
+describe("prerender", () => {
+  test("writes every route to its index.html", () => {
+    const files = prerenderSite(site(), { template: TEMPLATE });
+
+    expect(files.map((file) => file.filename)).toEqual([
+      "index.html",
+      "about/index.html",
+      "fr/index.html",
+    ]);
+  });
+
+  test("sets the title, description and language of each page", () => {
+    const [home, about, fr] = prerenderSite(site(), { template: TEMPLATE });
+
+    expect(home.source).toContain("<title>Home</title>");
+    expect(home.source).toContain(
+      '<meta name="description" content="Read &lt;this&gt; first" />'
+    );
+    expect(home.source).not.toContain('content="Default"');
+
+    expect(about.source).toContain("<title>About</title>");
+    expect(about.source).toContain('content="Who we are"');
+
+    expect(fr.source).toContain(
+      '<meta property="og:site_name" content="Acme" />'
+    );
+    expect(fr.source).toContain('<html lang="fr">');
+    expect(fr.source).toContain('<script src="main.js"></script>');
+  });
+
+  test("uses the resolved meta of pages", () => {
+    const content = site();
+    content.pages[0].meta = {
+      title: "Welcome | Acme",
+      canonical: "https://example.com/",
+      image: "https://example.com/share.png",
+    };
+
+    const [home] = prerenderSite(content, { template: TEMPLATE });
+
+    expect(home.source).toContain("<title>Welcome | Acme</title>");
+    expect(home.source).toContain(
+      '<link rel="canonical" href="https://example.com/" />'
+    );
+    expect(home.source).toContain(
+      '<meta name="twitter:card" content="summary_large_image" />'
+    );
+  });
+
+  test("renders the content as text in the root element", () => {
+    const [home] = prerenderSite(site(), { template: TEMPLATE });
+
+    expect(home.source).toContain(
+      '<div id="root"><main><section><h1>Home</h1>' +
+        '<p>Read &lt;this&gt; <a href="/about">first</a></p>' +
+        "</section></main></div>"
+    );
+
+    const [noRoot] = prerenderSite(site(), {
+      template: "<html><head></head><body></body></html>",
+    });
+    expect(noRoot.source).toContain("<body><noscript><main>");
+    expect(noRoot.source).toContain("<title>Home</title>");
+  });
+
+  test("renders generated pages with the sections of their parent", () => {
+    const content = site();
+    content.pages[0].subpages = [
+      {
+        route: "/page/2",
+        parent: "/",
+        sections: [],
+        generated: true,
+        listing: { items: [{ route: "/a", title: "A" }] },
+      },
+    ];
+
+    const [, listing] = prerenderSite(content, { template: TEMPLATE });
+    expect(listing.source).toContain(
+      '<div id="root"><main><section><h1>Home</h1>'
+    );
+    expect(listing.source).toContain('<ul><li><a href="/a">A</a></li></ul>');
+  });
+
+  test("links the items of collection listings", () => {
+    const html = renderPage({
+      route: "/news",
+      sections: [],
+      listing: {
+        items: [{ route: "/news/a", title: "A", excerpt: "About a" }],
+        next: "/news/page/2",
+      },
+    });
+
+    expect(html).toBe(
+      '<main><ul><li><a href="/news/a">A</a><p>About a</p></li></ul>' +
+        '<nav><a href="/news/page/2">›</a></nav></main>'
+    );
+  });
+});
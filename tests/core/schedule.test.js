@@ -0,0 +1,56 @@
+// tests/core/schedule.test.js
+import { Schedule } from "../../src/core/schedule.js";
+import { Diagnostics } from "../../src/core/diagnostics.js";
+
+describe("Schedule", () => {
+  const now = "2024-06-01T12:00:00Z";
+
+  test("excludes drafts unless enabled", () => {
+    expect(new Schedule({ now }).isPublished({ draft: true })).toBe(false);
+    expect(
+      new Schedule({ now, drafts: true }).isPublished({ draft: true })
+    ).toBe(true);
+    expect(new Schedule({ now }).isPublished({})).toBe(true);
+  });
+
+  test("evaluates publishAt and expireAt against now", () => {
+    const schedule = new Schedule({ now });
+
+    expect(schedule.isPublished({ publishAt: "2024-07-01" })).toBe(false);
+    expect(schedule.isPublished({ publishAt: new Date("2024-05-01") })).toBe(
+      true
+    );
+    expect(schedule.isPublished({ expireAt: "2024-06-01T12:00:00Z" })).toBe(
+      false
+    );
+    expect(schedule.isPublished({ expireAt: "2024-06-15" })).toBe(true);
+  });
+
+  test("reports the next scheduled change", () => {
+    const schedule = new Schedule({ now });
+    expect(schedule.nextChange).toBeNull();
+
+    schedule.isPublished({ publishAt: "2024-07-01" });
+    schedule.isPublished({ publishAt: "2024-05-01", expireAt: "2024-06-15" });
+    schedule.isPublished({ expireAt: "2024-05-15" });
+    schedule.isPublished({ draft: true, publishAt: "2024-06-02" });
+
+    expect(schedule.nextChange.toISOString()).toBe("2024-06-15T00:00:00.000Z");
+  });
+
+  test("warns about invalid dates and ignores them", () => {
+    const diagnostics = new Diagnostics();
+    const schedule = new Schedule({ now, diagnostics });
+
+    expect(
+      schedule.isPublished({ publishAt: "soon" }, { file: "/a/page.yml" })
+    ).toBe(true);
+    expect(diagnostics.warnings).toEqual([
+      expect.objectContaining({
+        code: "schedule-invalid",
+        file: "/a/page.yml",
+      }),
+    ]);
+    expect(() => new Schedule({ now: "never" })).toThrow(/Invalid "now"/);
+  });
+});
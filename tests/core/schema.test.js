@@ -0,0 +1,61 @@
+// tests/core/schema.test.js
+import { validateSchema } from "../../src/core/schema.js";
+
+const messages = (value, schema) =>
+  validateSchema(value, schema).map(({ message }) => message);
+
+describe("validateSchema", () => {
+  const schema = {
+    type: "object",
+    required: ["credit"],
+    properties: {
+      credit: { type: "string", minLength: 2 },
+      tags: { type: "array", items: { type: "string" }, maxItems: 2 },
+      focus: {
+        type: "object",
+        properties: { x: { type: "number", minimum: 0, maximum: 1 } },
+        additionalProperties: false,
+      },
+      format: { enum: ["webp", "avif"] },
+    },
+  };
+
+  test("accepts valid values and unknown fields", () => {
+    expect(
+      messages(
+        { credit: "Jo", tags: ["a"], focus: { x: 0.5 }, other: 1 },
+        schema
+      )
+    ).toEqual([]);
+  });
+
+  test("reports each problem with its path", () => {
+    expect(
+      validateSchema(
+        {
+          tags: ["a", 2, "c"],
+          focus: { x: 2, y: 0 },
+          format: "gif",
+        },
+        schema
+      )
+    ).toEqual([
+      { path: "credit", message: "credit is required" },
+      { path: "tags", message: "tags must have at most 2 items" },
+      { path: "tags[1]", message: "tags[1] must be a string" },
+      { path: "focus.x", message: "focus.x must be at most 1" },
+      { path: "focus.y", message: "focus.y is not an allowed field" },
+      { path: "format", message: 'format must be one of "webp", "avif"' },
+    ]);
+  });
+
+  test("checks types", () => {
+    expect(messages("text", { type: "object" })).toEqual([
+      "Value must be an object",
+    ]);
+    expect(messages(1.5, { type: "integer" })).toEqual([
+      "Value must be an integer",
+    ]);
+    expect(messages(null, { type: ["string", "null"] })).toEqual([]);
+  });
+});
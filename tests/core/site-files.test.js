@@ -0,0 +1,167 @@
+// tests/core/site-files.test.js
+import { buildSiteFiles } from "../../src/core/site-files.js";
+
+const doc = (...content) => ({ type: "doc", content });
+const text = (value) => ({ type: "text", text: value });
+
+function article(slug, date, extra = {}) {
+  return {
+    route: `/news/${slug}`,
+    lastModified: "2024-03-01T00:00:00.000Z",
+    sections: [
+      {
+        id: "1",
+        params: { date },
+        content: doc(
+          { type: "heading", content: [text(`About ${slug} & co`)] },
+          { type: "paragraph", content: [text(`Text of ${slug}.`)] }
+        ),
+        subsections: [],
+      },
+    ],
+    ...extra,
+  };
+}
+
+function site() {
+  return {
+    config: { name: "Acme", url: "https://example.com/" },
+    pages: [
+      {
+        route: "/",
+        lastModified: "2024-01-01T00:00:00.000Z",
+        sections: [],
+      },
+      {
+        route: "/news",
+        title: "News",
+        lastModified: "2024-02-01T00:00:00.000Z",
+        collection: {},
+        sections: [],
+        subpages: [
+          article("a", "2024-01-02"),
+          article("b", "2024-02-03"),
+          article("c", "2024-02-04", { draft: true }),
+          { route: "/news/page/2", generated: true, sections: [] },
+        ],
+      },
+      { route: "/private", noindex: true, sections: [] },
+    ],
+  };
+}
+
+const fileOf = (result, filename) =>
+  result.files.find((file) => file.filename === filename)?.source;
+
+describe("site files", () => {
+  test("builds a sitemap of the published pages", () => {
+    const result = buildSiteFiles(site(), { sitemap: true });
+    const sitemap = fileOf(result, "sitemap.xml");
+
+    expect(result.warnings).toEqual([]);
+    expect(sitemap).toContain("<loc>https://example.com/</loc>");
+    expect(sitemap).toContain("<loc>https://example.com/news/a</loc>");
+    expect(sitemap).toContain("<loc>https://example.com/news/page/2</loc>");
+    expect(sitemap).not.toContain("/news/c<");
+    expect(sitemap).not.toContain("/private");
+    expect(sitemap).toContain("<lastmod>2024-01-01T00:00:00.000Z</lastmod>");
+  });
+
+  test("prefers declared lastmod dates over file times", () => {
+    const content = site();
+    content.pages[0].lastmod = "2023-05-06";
+    content.pages[1].subpages[0].sections[0].params.updated = "2024-04-01";
+
+    const sitemap = fileOf(
+      buildSiteFiles(content, { sitemap: true }),
+      "sitemap.xml"
+    );
+
+    expect(sitemap).toContain("<lastmod>2023-05-06T00:00:00.000Z</lastmod>");
+    expect(sitemap).toContain("<lastmod>2024-04-01T00:00:00.000Z</lastmod>");
+  });
+
+  test("lists translations with their alternates", () => {
+    const alternates = [
+      { locale: "en", route: "/" },
+      { locale: "fr", route: "/fr" },
+    ];
+    const content = {
+      config: { url: "https://example.com" },
+      pages: [{ route: "/", sections: [], alternates }],
+      translations: {
+        fr: { pages: [{ route: "/fr", sections: [], alternates }] },
+      },
+    };
+
+    const sitemap = fileOf(
+      buildSiteFiles(content, { sitemap: true }),
+      "sitemap.xml"
+    );
+
+    expect(sitemap).toContain("<loc>https://example.com/fr</loc>");
+    expect(sitemap).toContain(
+      '<xhtml:link rel="alternate" hreflang="fr" href="https://example.com/fr"/>'
+    );
+  });
+
+  test("builds robots.txt from site.yml", () => {
+    const content = site();
+    content.config.robots = {
+      rules: [
+        { disallow: "/drafts" },
+        { userAgent: "BadBot", disallow: ["/"] },
+      ],
+    };
+
+    const robots = fileOf(
+      buildSiteFiles(content, { robots: true, sitemap: true }),
+      "robots.txt"
+    );
+
+    expect(robots).toBe(
+      "User-agent: *\nDisallow: /drafts\n\n" +
+        "User-agent: BadBot\nDisallow: /\n\n" +
+        "Sitemap: https://example.com/sitemap.xml\n"
+    );
+
+    content.config.robots = false;
+    expect(
+      fileOf(buildSiteFiles(content, { robots: true }), "robots.txt")
+    ).toBe("User-agent: *\nDisallow: /\n");
+  });
+
+  test("builds feeds of the collection pages", () => {
+    const result = buildSiteFiles(site(), { feeds: { limit: 1 } });
+    const rss = fileOf(result, "news/rss.xml");
+    const atom = fileOf(result, "news/atom.xml");
+
+    expect(rss).toContain("<title>Acme - News</title>");
+    expect(rss).toContain("<link>https://example.com/news/b</link>");
+    expect(rss).toContain("<title>About b &amp; co</title>");
+    expect(rss).toContain("<pubDate>Sat, 03 Feb 2024 00:00:00 GMT</pubDate>");
+    // Limited to the latest item, and drafts are left out
+    expect(rss).not.toContain("/news/a<");
+    expect(rss).not.toContain("/news/c<");
+
+    expect(atom).toContain(
+      '<link rel="self" href="https://example.com/news/atom.xml"/>'
+    );
+    expect(atom).toContain("<updated>2024-02-03T00:00:00.000Z</updated>");
+    expect(atom).toContain("<summary>Text of b.</summary>");
+  });
+
+  test("skips files that need a base URL without one", () => {
+    const content = site();
+    delete content.config.url;
+
+    const result = buildSiteFiles(content, {
+      sitemap: true,
+      robots: true,
+      feeds: true,
+    });
+
+    expect(result.files.map((file) => file.filename)).toEqual(["robots.txt"]);
+    expect(result.warnings).toHaveLength(1);
+  });
+});
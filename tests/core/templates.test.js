@@ -0,0 +1,29 @@
+// tests/core/templates.test.js
+import { mergeSections, omitTemplateFields } from "../../src/core/templates.js";
+
+describe("templates", () => {
+  test("overrides template sections by id", () => {
+    const base = [
+      { id: "1", component: "Hero" },
+      { id: "2", component: "Features", subsections: [{ id: "2.1" }] },
+      { id: "10", component: "Footer" },
+    ];
+    const sections = [
+      { id: "2", component: "Pricing", subsections: [] },
+      { id: "3", component: "Faq" },
+    ];
+
+    expect(mergeSections(base, sections)).toEqual([
+      { id: "1", component: "Hero" },
+      { id: "2", component: "Pricing", subsections: [] },
+      { id: "3", component: "Faq" },
+      { id: "10", component: "Footer" },
+    ]);
+  });
+
+  test("does not inherit fields about the template page itself", () => {
+    expect(
+      omitTemplateFields({ title: "Landing", hidden: true, order: 3 })
+    ).toEqual({ title: "Landing" });
+  });
+});
@@ -0,0 +1,162 @@
+// tests/core/utils.test.js
+import {
+  createLimiter,
+  compareFilenames,
+  getPageOrder,
+  comparePages,
+  stripNumericPrefixes,
+  mergeConfig,
+  getText,
+  truncate,
+  findNode,
+} from "../../src/core/utils.js";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("createLimiter", () => {
+  test("never runs more than the given number of tasks at once", async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+
+    const task = async (value) => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(5);
+      active--;
+      return value;
+    };
+
+    const results = await Promise.all(
+      [1, 2, 3, 4, 5].map((value) => limit(() => task(value)))
+    );
+
+    expect(peak).toBe(2);
+    expect(results).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test("keeps going after a task fails", async () => {
+    const limit = createLimiter(1);
+
+    const failed = limit(async () => {
+      throw new Error("boom");
+    });
+    const next = limit(async () => "ok");
+
+    await expect(failed).rejects.toThrow("boom");
+    await expect(next).resolves.toBe("ok");
+  });
+
+  test("rejects invalid limits", () => {
+    expect(() => createLimiter(0)).toThrow(/Invalid concurrency/);
+    expect(() => createLimiter(1.5)).toThrow(/Invalid concurrency/);
+  });
+});
+
+describe("compareFilenames", () => {
+  test("orders numeric prefixes numerically", () => {
+    const files = ["10-c.md", "2-b.md", "1-a.md", "2.1-d.md", "intro.md"];
+    expect(files.sort(compareFilenames)).toEqual([
+      "1-a.md",
+      "2-b.md",
+      "2.1-d.md",
+      "10-c.md",
+      "intro.md",
+    ]);
+  });
+});
+
+describe("page ordering", () => {
+  const sort = (pages) =>
+    pages
+      .map(([name, config]) => ({ name, order: getPageOrder(name, config) }))
+      .sort(comparePages)
+      .map((page) => page.name);
+
+  test("derives the order from page.yml or the folder prefix", () => {
+    expect(getPageOrder("2.1-team")).toEqual([2, 1]);
+    expect(getPageOrder("2-team", { order: 5 })).toEqual([5]);
+    expect(getPageOrder("team", { weight: 3 })).toEqual([3]);
+    expect(getPageOrder("team", { order: "first" })).toBeNull();
+    expect(getPageOrder("team")).toBeNull();
+  });
+
+  test("sorts ordered pages first, then by folder name", () => {
+    expect(
+      sort([
+        ["contact"],
+        ["10-blog"],
+        ["2-team"],
+        ["about", { order: 1 }],
+        ["2.1-people"],
+        ["Archive"],
+      ])
+    ).toEqual([
+      "about",
+      "2-team",
+      "2.1-people",
+      "10-blog",
+      "Archive",
+      "contact",
+    ]);
+  });
+
+  test("strips numeric prefixes from routes", () => {
+    expect(stripNumericPrefixes("1-about/2.1-team")).toBe("about/team");
+    expect(stripNumericPrefixes("about")).toBe("about");
+  });
+});
+
+describe("mergeConfig", () => {
+  test("merges nested objects and replaces other values", () => {
+    const base = { title: "Base", seo: { image: "a.jpg", noindex: true } };
+    const merged = mergeConfig(base, {
+      seo: { image: "b.jpg" },
+      tags: ["x"],
+      title: undefined,
+    });
+
+    expect(merged).toEqual({
+      title: "Base",
+      seo: { image: "b.jpg", noindex: true },
+      tags: ["x"],
+    });
+    expect(base.seo.image).toBe("a.jpg");
+  });
+});
+
+describe("text helpers", () => {
+  const text = (value) => ({ type: "text", text: value });
+  const heading = (value) => ({ type: "heading", content: [text(value)] });
+  const section = (content, subsections = []) => ({
+    content: { type: "doc", content },
+    subsections,
+  });
+
+  test("gets the text of a node", () => {
+    expect(
+      getText({ type: "paragraph", content: [text("a "), text("b")] })
+    ).toBe("a b");
+  });
+
+  test("truncates after the last whole word", () => {
+    expect(truncate("short")).toBe("short");
+    expect(truncate("one two three", 9)).toBe("one two…");
+    expect(truncate("unbroken", 4)).toBe("unbr…");
+  });
+
+  test("finds nodes in sections and subsections in document order", () => {
+    const sections = [
+      section([], [section([heading("Nested")])]),
+      section([heading("Second")]),
+    ];
+    const headingText = (node) => getText(node) || undefined;
+
+    expect(
+      findNode(sections, (node) => node.type === "heading", headingText)
+    ).toBe("Nested");
+    expect(
+      findNode(sections, (node) => node.type === "image", headingText)
+    ).toBeUndefined();
+  });
+});
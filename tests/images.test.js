@@ -0,0 +1,384 @@
+// tests/images.test.js
+import { join } from "node:path";
+import { mkdir, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import sharp from "sharp";
+import { ImageMetadataPlugin } from "../src/plugins/image-meta.js";
+import { cleanSvg } from "../src/plugins/svg.js";
+import { Diagnostics, CODES } from "../src/core/diagnostics.js";
+import { FileCache } from "../src/core/file-cache.js";
+
+const image = (src, attrs = {}) => ({
+  type: "image",
+  attrs: { src, ...attrs },
+});
+const doc = (...content) => ({ type: "doc", content });
+
+function createContext(root) {
+  const assets = new Map();
+  return {
+    assets,
+    diagnostics: new Diagnostics(),
+    resourcePath: root,
+    currentFile: join(root, "pages", "home", "1-hero.md"),
+    emitAsset: (filename, source) => assets.set(filename, source),
+  };
+}
+
+describe("image plugin", () => {
+  let root;
+
+  beforeAll(async () => {
+    root = join(tmpdir(), "content-images-test-" + Date.now());
+    await mkdir(join(root, "pages", "home"), { recursive: true });
+
+    await sharp({
+      create: {
+        width: 1200,
+        height: 600,
+        channels: 3,
+        background: { r: 200, g: 80, b: 40 },
+      },
+    })
+      .jpeg()
+      .toFile(join(root, "pages", "home", "photo.jpg"));
+  });
+
+  afterAll(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test("resizes images into responsive variants", async () => {
+    const plugin = new ImageMetadataPlugin({
+      responsive: { widths: [400, 800, 1600], formats: ["webp"] },
+    });
+    const context = createContext(root);
+    const content = doc(image("photo.jpg"), image("https://example.com/a.jpg"));
+
+    await plugin.processContent(content, context);
+
+    const [local, remote] = content.content;
+    const names = [...context.assets.keys()];
+
+    expect(names).toHaveLength(6);
+    expect(names[0]).toMatch(/^images\/photo-400\.[0-9a-f]{8}\.jpg$/);
+    expect(names[5]).toMatch(/^images\/photo-1200\.[0-9a-f]{8}\.webp$/);
+
+    expect(local.attrs.src).toBe("/" + names[2]);
+    expect(local.attrs.srcset).toBe(
+      `/${names[0]} 400w, /${names[1]} 800w, /${names[2]} 1200w`
+    );
+    expect(local.attrs.sizes).toBe("100vw");
+    expect(local.attrs.sources).toEqual([
+      {
+        type: "image/webp",
+        srcset: `/${names[3]} 400w, /${names[4]} 800w, /${names[5]} 1200w`,
+      },
+    ]);
+
+    const { width, format } = await sharp(
+      context.assets.get(names[4])
+    ).metadata();
+    expect([width, format]).toEqual([800, "webp"]);
+
+    expect(remote.attrs.src).toBe("https://example.com/a.jpg");
+    expect(remote.attrs.srcset).toBeUndefined();
+    expect(context.diagnostics.toJSON()).toEqual([]);
+  });
+
+  test("resizes images only when enabled", async () => {
+    const context = createContext(root);
+    const content = doc(image("photo.jpg"));
+
+    await new ImageMetadataPlugin().processContent(content, context);
+
+    expect(content.content[0].attrs.src).toBe("photo.jpg");
+    expect(content.content[0].attrs.srcset).toBeUndefined();
+    expect(context.assets.size).toBe(0);
+  });
+
+  test("keeps resized variants on disk between runs", async () => {
+    const cacheDir = join(root, "variants-cache");
+    const plugin = new ImageMetadataPlugin({
+      cacheDir,
+      responsive: { widths: [400], formats: [] },
+    });
+    const fileCache = new FileCache();
+    const run = async () => {
+      const context = { ...createContext(root), fileCache };
+      await plugin.processContent(doc(image("photo.jpg")), context);
+      return context.assets;
+    };
+
+    const [[filename, source]] = [...(await run())];
+    const cached = join(cacheDir, filename);
+    expect(await readFile(cached)).toEqual(source);
+
+    // Later runs read the variants from disk, or encode them again if they
+    // were removed
+    await writeFile(cached, "cached");
+    expect(String((await run()).get(filename))).toBe("cached");
+
+    await rm(cacheDir, { recursive: true });
+    expect((await run()).get(filename)).toEqual(source);
+  });
+
+  test("measures images and caches the results on disk", async () => {
+    const cacheDir = join(root, "cache");
+    const plugin = new ImageMetadataPlugin({ cacheDir });
+    const context = createContext(root);
+    const content = doc(
+      image("photo.jpg", { width: 300 }),
+      image("/missing.png"),
+      image("photo.jpg", { height: 100 }),
+      image("photo.jpg", { width: 100, height: 100 })
+    );
+
+    await plugin.processContent(content, context);
+
+    const [photo, missing, byHeight, square] = content.content;
+    expect(photo.attrs).toMatchObject({
+      width: 300,
+      height: 150,
+      aspectRatio: 2,
+      color: "#c84828",
+    });
+    expect(byHeight.attrs).toMatchObject({ width: 200, height: 100 });
+    expect(square.attrs).toMatchObject({ width: 100, aspectRatio: 1 });
+    expect(photo.attrs.placeholder).toMatch(/^data:image\/webp;base64,/);
+    expect(missing.attrs.height).toBeUndefined();
+    expect(context.diagnostics.toJSON()).toMatchObject([
+      { severity: "warning", message: "Image not found: /missing.png" },
+    ]);
+
+    // A later build reads the cached result instead of the image
+    const [file] = await readdir(cacheDir);
+    await writeFile(join(cacheDir, file), JSON.stringify({ color: "#000000" }));
+
+    const again = doc(image("photo.jpg"));
+    await plugin.processContent(again, createContext(root));
+    expect(again.content[0].attrs.color).toBe("#000000");
+    expect(again.content[0].attrs.width).toBeUndefined();
+  });
+
+  test("validates sidecar files and uses their optimization hints", async () => {
+    const dir = join(root, "pages", "home");
+    const sidecar = join(dir, "photo.jpg.yml");
+    const plugin = new ImageMetadataPlugin({
+      responsive: { widths: [400], formats: [] },
+      schema: { required: ["credit"] },
+      cacheDir: false,
+    });
+
+    await writeFile(
+      sidecar,
+      "alt: Orange\ncredit: Jo\noptimization: { quality: 60, format: webp }\n"
+    );
+    const context = createContext(root);
+    const content = doc(image("photo.jpg"));
+    await plugin.processContent(content, context);
+
+    expect(content.content[0].attrs.alt).toBe("Orange");
+    expect(content.content[0].attrs.src).toMatch(
+      /^\/images\/photo-400\.[0-9a-f]{8}\.webp$/
+    );
+    expect(context.diagnostics.toJSON()).toEqual([]);
+
+    // The hints of an invalid sidecar are not used
+    await writeFile(sidecar, "optimization: { quality: 150, format: webp }\n");
+    const other = doc(image("photo.jpg"));
+    await plugin.processContent(other, context);
+
+    expect(other.content[0].attrs.src).toMatch(/\.jpg$/);
+    expect(context.diagnostics.toJSON()).toMatchObject([
+      {
+        code: CODES.IMAGE_METADATA_INVALID,
+        message: "credit is required",
+        file: sidecar,
+      },
+      { message: "optimization.quality must be at most 100", file: sidecar },
+    ]);
+
+    await expect(
+      ImageMetadataPlugin.validateMetadata({ optimization: { format: "gif" } })
+    ).rejects.toThrow('optimization.format must be one of "jpeg"');
+
+    await rm(sidecar);
+  });
+
+  test("creates named crops around the focal point", async () => {
+    const dir = join(root, "pages", "home");
+
+    // Red on the left half, blue on the right one
+    await sharp({
+      create: {
+        width: 1200,
+        height: 600,
+        channels: 3,
+        background: { r: 255, g: 0, b: 0 },
+      },
+    })
+      .composite([
+        {
+          input: {
+            create: {
+              width: 600,
+              height: 600,
+              channels: 3,
+              background: { r: 0, g: 0, b: 255 },
+            },
+          },
+          left: 600,
+          top: 0,
+        },
+      ])
+      .png()
+      .toFile(join(dir, "halves.png"));
+    await writeFile(
+      join(dir, "halves.png.yml"),
+      [
+        "focalPoint: { x: 0.9, y: 0.5 }",
+        "crops:",
+        "  square: '1:1'",
+        "  tall: { aspectRatio: 0.5, focalPoint: { x: 0.1, y: 0.5 } }",
+        "",
+      ].join("\n")
+    );
+
+    const plugin = new ImageMetadataPlugin({ cacheDir: false });
+    const context = createContext(root);
+    const content = doc(image("halves.png"));
+    await plugin.processContent(content, context);
+
+    const { attrs } = content.content[0];
+    expect(attrs.focalPoint).toEqual({ x: 0.9, y: 0.5 });
+    expect(attrs.srcset).toBeUndefined();
+    expect(attrs.crops.square).toMatchObject({
+      width: 600,
+      height: 600,
+      aspectRatio: 1,
+      src: expect.stringMatching(/^\/images\/halves-square-600\.\w+\.png$/),
+    });
+    expect(attrs.crops.tall).toMatchObject({ width: 300, height: 600 });
+
+    const colorOf = async (src) => {
+      const { dominant } = await sharp(
+        context.assets.get(src.slice(1))
+      ).stats();
+      return dominant.b > dominant.r ? "blue" : "red";
+    };
+    expect(await colorOf(attrs.crops.square.src)).toBe("blue");
+    expect(await colorOf(attrs.crops.tall.src)).toBe("red");
+    expect(context.diagnostics.toJSON()).toEqual([]);
+
+    await expect(
+      ImageMetadataPlugin.validateMetadata({
+        focalPoint: { x: 2, y: 0 },
+        crops: { wide: "wide" },
+      })
+    ).rejects.toThrow("focalPoint.x must be at most 1; crops.wide must match");
+  });
+
+  test("sanitizes and optimizes SVGs", () => {
+    const svg = [
+      '<?xml version="1.0"?>',
+      "<!-- Generator: Sketch -->",
+      '<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="x"',
+      '  inkscape:version="1" onload="alert(1)">',
+      "  <metadata><rdf:RDF/></metadata>",
+      "  <script>alert(1)</script>",
+      "  <style>@import url(http://x.css); .a { fill: url(#g) }</style>",
+      '  <a href="java&#x09;script:alert(1)"><text>Hi <tspan>you</tspan></text></a>',
+      '  <use href="http://example.com/sprite.svg#a"/><use href="#b"/>',
+      '  <path d="M 10.00000 20.5 L -0.5000 30 z" fill="url(http://x)"/>',
+      "</svg>",
+    ].join("\n");
+
+    expect(cleanSvg(svg)).toBe(
+      '<svg xmlns="http://www.w3.org/2000/svg">' +
+        "<style> .a { fill: url(#g) }</style>" +
+        "<a><text>Hi <tspan>you</tspan></text></a>" +
+        '<use/><use href="#b"/>' +
+        '<path d="M10 20.5L-.5 30z" fill="none"/>' +
+        "</svg>"
+    );
+
+    // Sanitized only
+    const sanitized = cleanSvg(svg, { optimize: false });
+    expect(sanitized).not.toContain("<!--");
+    expect(sanitized).toContain('inkscape:version="1"');
+    expect(sanitized).not.toMatch(/script|onload|http:\/\/x/);
+  });
+
+  test("sanitizes what an HTML parser would run or load", () => {
+    const clean = (svg) => cleanSvg(svg, { optimize: false });
+
+    // Comments end where HTML ends them
+    expect(clean("<svg><!--><script>alert(1)</script>--></svg>")).toBe(
+      "<svg>--></svg>"
+    );
+    expect(clean("<svg><!-- a --!><script>alert(1)</script>--></svg>")).toBe(
+      "<svg>--></svg>"
+    );
+
+    // Elements that break out of the SVG
+    expect(
+      clean(
+        '<svg><img src="https://example.com/a.png"><p><img src="#a">' +
+          '<meta http-equiv="refresh" content="0;url=https://x"></svg>'
+      )
+    ).toBe("<svg></svg>");
+
+    // Once <p> ends the SVG, <style> and <title> hold raw HTML text
+    for (const element of ["style", "title"]) {
+      const svg =
+        '<svg xmlns="http://www.w3.org/2000/svg"><p>' +
+        `<${element}><a title="</${element}><img src=x onerror=alert(1)>">` +
+        `</a></${element}></p></svg>`;
+      expect(clean(svg)).toBe('<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+      expect(clean(svg.replace("<p>", "").replace("</p>", ""))).toBe(
+        '<svg xmlns="http://www.w3.org/2000/svg">' +
+          `<${element}><a title="&lt;/${element}&gt;&lt;img src=x ` +
+          `onerror=alert(1)&gt;"></a></${element}></svg>`
+      );
+    }
+
+    // Character references in CSS
+    expect(
+      clean(
+        '<svg><rect fill="u&#114;l(http://x)" ' +
+          'style="fill: u&#x72;l&lpar;http://x&rpar; ; stroke: &quot;a&quot;"/></svg>'
+      )
+    ).toBe(
+      '<svg><rect fill="none" style="fill: none ; stroke: &quot;a&quot;"/></svg>'
+    );
+    expect(clean('<svg><a href="java&Tab;script:alert(1)"/></svg>')).toBe(
+      "<svg><a/></svg>"
+    );
+  });
+
+  test("inlines small SVGs and emits large ones", async () => {
+    const dir = join(root, "pages", "home");
+    const shape = '<rect width="10" height="10"/>';
+    await writeFile(
+      join(dir, "small.svg"),
+      `<svg width="10" height="10"><script>x</script>${shape}</svg>`
+    );
+    await writeFile(
+      join(dir, "large.svg"),
+      `<svg width="10" height="10">${shape.repeat(20)}</svg>`
+    );
+
+    const plugin = new ImageMetadataPlugin({ svg: { inlineLimit: 200 } });
+    const context = createContext(root);
+    const content = doc(image("small.svg"), image("large.svg"));
+    await plugin.processContent(content, context);
+
+    const [small, large] = content.content;
+    expect(small.attrs.svg).toBe(`<svg width="10" height="10">${shape}</svg>`);
+    expect(small.attrs.width).toBe(10);
+    expect(large.attrs.svg).toBeUndefined();
+    expect(large.attrs.src).toMatch(/^\/images\/large\.[0-9a-f]{8}\.svg$/);
+    expect(context.assets.get(large.attrs.src.slice(1))).toContain(shape);
+  });
+});
@@ -1,6 +1,7 @@
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
 import { collectSiteContent } from "../src/setup";
+import { TransformerPlugin } from "../src/core/plugin.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -86,6 +87,23 @@ describe("collectSiteContent", () => {
     expect(intro.content.type).toBe("doc");
   });
 
+  test("registers user plugins and presets", async () => {
+    class Marker extends TransformerPlugin {
+      static pluginName = "marker";
+
+      async transform(output) {
+        return { ...output, marked: true };
+      }
+    }
+
+    const content = await collectSiteContent(FIXTURES_PATH, {
+      preset: "docs",
+      plugins: [new Marker()],
+    });
+
+    expect(content.marked).toBe(true);
+  });
+
   // test("handles missing files gracefully", async () => {
   //   const content = await collectSiteContent(
   //     join(FIXTURES_PATH, "nonexistent")
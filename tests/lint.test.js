@@ -0,0 +1,194 @@
+// tests/lint.test.js
+import { join } from "node:path";
+import { mkdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { lintSite, RULES, formatText, formatSarif } from "../src/lint/index.js";
+
+async function createSite() {
+  const root = join(tmpdir(), "content-lint-test-" + Date.now());
+  const pages = join(root, "pages");
+
+  await mkdir(join(pages, "home"), { recursive: true });
+  await mkdir(join(pages, "1-about"), { recursive: true });
+  await mkdir(join(pages, "about"), { recursive: true });
+  await mkdir(join(pages, "empty"), { recursive: true });
+
+  await writeFile(join(root, "site.yml"), "name: Lint\n");
+  await writeFile(join(pages, "home", "page.yml"), "title: Home\n");
+  await writeFile(
+    join(pages, "home", "1-hero.md"),
+    "---\ncomponent: Hero\n---\n# Welcome\n\n### Skipped\n\nText.\n"
+  );
+  await writeFile(
+    join(pages, "home", "2-wip.md"),
+    "---\ncomponent: Banner\ndraft: true\n---\nDraft text.\n"
+  );
+  await writeFile(join(pages, "1-about", "page.yml"), "title: About\n");
+  await writeFile(join(pages, "1-about", "1-intro.md"), "No component.\n");
+  await writeFile(join(pages, "about", "page.yml"), "title: About again\n");
+  await writeFile(join(pages, "about", "1-more.md"), "Also no component.\n");
+  await writeFile(join(pages, "empty", "page.yml"), "title: Empty\n");
+
+  return root;
+}
+
+// A lint context over hand-made pages, for the rules that need content
+// the markdown reader of the tests does not produce
+function contextOf(pages, rootPath = tmpdir()) {
+  const reports = [];
+  const sections = pages.flatMap((page) =>
+    page.sections.map((section) => ({ page, section }))
+  );
+
+  return {
+    reports,
+    rootPath,
+    config: {},
+    routes: new Set(pages.map((page) => page.route)),
+    pages: () => pages,
+    sections: () => sections,
+    *nodes(type) {
+      for (const { page, section } of sections) {
+        const visit = function* (node) {
+          if (node.type === type) yield { page, section, node };
+          for (const child of node.content ?? []) yield* visit(child);
+        };
+        yield* visit(section.content);
+      }
+    },
+    sourceOf: () => join(rootPath, "pages", "home", "1-hero.md"),
+    report: (message) => reports.push(message),
+  };
+}
+
+describe("lint", () => {
+  let root;
+
+  beforeAll(async () => {
+    root = await createSite();
+  });
+
+  afterAll(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test("reports problems of the content, drafts included", async () => {
+    await writeFile(join(root, "lint.yml"), "components: [Hero]\n");
+    const result = await lintSite(root);
+    const found = result.diagnostics.map(({ code, file }) => [
+      code,
+      file?.slice(root.length + 1),
+    ]);
+
+    expect(found).toEqual(
+      expect.arrayContaining([
+        ["heading-skip", "pages/home/1-hero.md"],
+        ["unknown-component", "pages/home/2-wip.md"],
+        ["section-component", "pages/1-about/1-intro.md"],
+        ["duplicate-route", expect.stringMatching(/about$/)],
+        ["empty-page", "pages/empty"],
+      ])
+    );
+    expect(result.errorCount).toBe(2);
+  });
+
+  test("turns rules off and changes their severity", async () => {
+    await writeFile(
+      join(root, "lint.yml"),
+      "rules:\n  heading-skip: error\n  empty-page: off\n  duplicate-route: off\n"
+    );
+    const result = await lintSite(root);
+    const codes = result.diagnostics.map(({ code }) => code);
+
+    expect(codes).not.toContain("empty-page");
+    expect(codes).not.toContain("duplicate-route");
+    expect(
+      result.diagnostics.find(({ code }) => code === "heading-skip").severity
+    ).toBe("error");
+
+    await writeFile(join(root, "lint.yml"), "rules:\n  no-such-rule: off\n");
+    await expect(lintSite(root)).rejects.toThrow(
+      'Unknown lint rule "no-such-rule"'
+    );
+  });
+
+  test("checks alt text and links", async () => {
+    const image = (alt) => ({ type: "image", attrs: { src: "/a.jpg", alt } });
+    const link = (href) => ({
+      type: "text",
+      text: "link",
+      marks: [{ type: "link", attrs: { href } }],
+    });
+    const context = contextOf([
+      {
+        route: "/",
+        sections: [
+          {
+            id: "1",
+            content: {
+              type: "doc",
+              content: [
+                image("A cat"),
+                image(""),
+                link("/about"),
+                link("about#team"),
+                link("https://example.com"),
+                link("/missing"),
+                link("/équipe"),
+                link("%C3%A9quipe"),
+                link("/%E9quipe"),
+              ],
+            },
+          },
+        ],
+      },
+      { route: "/about", sections: [] },
+      { route: "/équipe", sections: [] },
+    ]);
+
+    RULES["image-alt"].check(context);
+    await RULES["broken-link"].check(context);
+
+    expect(context.reports).toEqual([
+      "Image /a.jpg has no alt text",
+      "Broken link to /missing",
+      "Broken link to /%E9quipe",
+    ]);
+  });
+
+  test("formats results as text and SARIF", () => {
+    const result = {
+      diagnostics: [
+        {
+          severity: "error",
+          code: "broken-link",
+          message: "Broken link to /missing",
+          file: join(root, "pages", "home", "1-hero.md"),
+          page: "/",
+        },
+      ],
+      errorCount: 1,
+      warningCount: 0,
+    };
+
+    expect(formatText(result, { cwd: root })).toBe(
+      "pages/home/1-hero.md error broken-link: Broken link to /missing\n" +
+        "1 error(s), 0 warning(s)\n"
+    );
+
+    const sarif = JSON.parse(formatSarif(result, { cwd: root }));
+    expect(sarif.version).toBe("2.1.0");
+    expect(sarif.runs[0].tool.driver.rules[0].id).toBe("broken-link");
+    expect(sarif.runs[0].results[0]).toMatchObject({
+      ruleId: "broken-link",
+      level: "error",
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: "pages/home/1-hero.md" },
+          },
+        },
+      ],
+    });
+  });
+});
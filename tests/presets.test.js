@@ -0,0 +1,103 @@
+import { jest } from "@jest/globals";
+import { PRESETS, BUILT_IN_PLUGINS, resolvePreset } from "../src/presets.js";
+import { createCollector } from "../src/setup.js";
+import { ContentCollector } from "../src/core/collector.js";
+
+// Built-in plugins added to a collector, by plugin name
+function getBuiltIns(options) {
+  const use = jest.spyOn(ContentCollector.prototype, "use");
+  createCollector(options);
+
+  const plugins = Object.fromEntries(
+    use.mock.calls.map(([plugin]) => [plugin.constructor.pluginName, plugin])
+  );
+  use.mockRestore();
+  return plugins;
+}
+
+describe("resolvePreset", () => {
+  test("resolves the default preset", () => {
+    expect(resolvePreset()).toEqual({ dataLoader: {}, imageMeta: {} });
+  });
+
+  test("default loads data and samples images", () => {
+    const plugins = getBuiltIns({});
+
+    expect(Object.keys(plugins).sort()).toEqual(["dataLoader", "imageMeta"]);
+    expect(plugins.imageMeta.options).toMatchObject({
+      placeholder: "lqip",
+      color: true,
+      responsive: false,
+    });
+  });
+
+  test("docs indexes search and only measures images", () => {
+    const plugins = getBuiltIns({ preset: "docs" });
+
+    expect(Object.keys(plugins).sort()).toEqual(["imageMeta", "searchIndex"]);
+    expect(plugins.imageMeta.options).toMatchObject({
+      dimensions: true,
+      placeholder: false,
+      color: false,
+      responsive: false,
+    });
+  });
+
+  test("blog resizes images and indexes search", () => {
+    const plugins = getBuiltIns({ preset: "blog" });
+
+    expect(Object.keys(plugins).sort()).toEqual([
+      "dataLoader",
+      "imageMeta",
+      "searchIndex",
+    ]);
+    expect(plugins.imageMeta.options.responsive).toMatchObject({
+      widths: [480, 960, 1600],
+    });
+  });
+
+  test("merges plugin options into those of the preset", () => {
+    const plugins = getBuiltIns({
+      preset: "blog",
+      imageMeta: { sidecarExt: ".yaml" },
+      searchIndex: false,
+    });
+
+    expect(plugins.searchIndex).toBeUndefined();
+    expect(plugins.imageMeta.options).toMatchObject({
+      sidecarExt: ".yaml",
+      responsive: expect.any(Object),
+    });
+  });
+
+  test("resolves named presets to copies", () => {
+    const docs = resolvePreset("docs");
+    docs.imageMeta = false;
+
+    expect(PRESETS.docs.imageMeta).toEqual({
+      placeholder: false,
+      color: false,
+    });
+  });
+
+  test("only references built-in plugins", () => {
+    for (const preset of Object.values(PRESETS)) {
+      for (const key of Object.keys(preset)) {
+        expect(BUILT_IN_PLUGINS).toHaveProperty(key);
+      }
+    }
+  });
+
+  test("accepts custom preset objects", () => {
+    expect(resolvePreset({ imageMeta: { sidecarExt: ".yaml" } })).toEqual({
+      imageMeta: { sidecarExt: ".yaml" },
+    });
+  });
+
+  test("rejects unknown presets and plugins", () => {
+    expect(() => resolvePreset("nope")).toThrow(/Unknown collector preset/);
+    expect(() => resolvePreset({ search: {} })).toThrow(
+      /Unknown built-in collector plugin "search"/
+    );
+  });
+});
@@ -0,0 +1,143 @@
+// tests/search.test.js
+import { tokenize, stem, search } from "../src/search/index.js";
+import { buildSearchIndex } from "../src/plugins/search-index.js";
+
+const doc = (...content) => ({ type: "doc", content });
+const heading = (text) => ({
+  type: "heading",
+  attrs: { level: 1 },
+  content: [{ type: "text", text }],
+});
+const paragraph = (text) => ({
+  type: "paragraph",
+  content: [{ type: "text", text }],
+});
+
+describe("search analyzer", () => {
+  test("stems English words", () => {
+    expect(tokenize("The runners were running quickly", "en")).toEqual([
+      "runner",
+      "run",
+      "quick",
+    ]);
+    expect(stem("stories", "en")).toBe("story");
+    expect(stem("boxes", "en")).toBe("box");
+  });
+
+  test("stems French words and folds accents", () => {
+    expect(tokenize("Les chevaux et le développement", "fr")).toEqual([
+      "cheval",
+      "develop",
+    ]);
+    expect(tokenize("nationales", "fr")).toEqual(tokenize("national", "fr"));
+  });
+
+  test("only normalizes languages without a stemmer", () => {
+    expect(tokenize("Häuser und Gärten", "de")).toEqual([
+      "hauser",
+      "und",
+      "garten",
+    ]);
+  });
+});
+
+describe("buildSearchIndex", () => {
+  const output = {
+    locale: "en",
+    pages: [
+      {
+        route: "/",
+        title: "Home",
+        sections: [
+          {
+            id: "1",
+            content: doc(heading("Welcome"), paragraph("Fast static sites.")),
+            subsections: [
+              {
+                id: "1.1",
+                content: doc(paragraph("Running on any host.")),
+                subsections: [],
+              },
+            ],
+          },
+        ],
+        subpages: [
+          {
+            route: "/private",
+            search: false,
+            sections: [{ id: "1", content: doc(paragraph("Secret")) }],
+          },
+        ],
+      },
+    ],
+    translations: {
+      fr: {
+        pages: [
+          {
+            route: "/fr",
+            title: "Accueil",
+            sections: [
+              { id: "1", content: doc(paragraph("Sites statiques rapides.")) },
+            ],
+          },
+        ],
+      },
+    },
+  };
+
+  const index = buildSearchIndex(output);
+
+  test("indexes every section of every locale", () => {
+    expect(Object.keys(index.locales)).toEqual(["en", "fr"]);
+
+    const { documents, fields, language } = index.locales.en;
+    expect(language).toBe("en");
+    expect(fields).toEqual(["route", "section", "title", "excerpt"]);
+    expect(documents).toEqual([
+      ["/", "1", "Welcome", "Fast static sites."],
+      ["/", "1.1", "Home", "Running on any host."],
+    ]);
+    expect(index.locales.en.terms.secret).toBeUndefined();
+  });
+
+  test("weighs headings over text", () => {
+    expect(index.locales.en.terms.welcome).toEqual([0, 3]);
+    expect(index.locales.en.terms.site).toEqual([0, 1]);
+  });
+
+  test("finds sections by whole words and prefixes", () => {
+    expect(search(index, "runs")).toEqual([
+      expect.objectContaining({ route: "/", section: "1.1" }),
+    ]);
+    expect(search(index, "welc")[0]).toMatchObject({ title: "Welcome" });
+    expect(search(index, "statique", { locale: "fr" })).toEqual([
+      expect.objectContaining({ route: "/fr", section: "1" }),
+    ]);
+    expect(search(index, "nothing")).toEqual([]);
+  });
+
+  test("indexes and finds words that name object properties", () => {
+    const apiIndex = buildSearchIndex({
+      pages: [
+        {
+          route: "/api",
+          sections: [
+            {
+              id: "1",
+              content: doc(paragraph("The constructor of the class")),
+            },
+          ],
+        },
+      ],
+    });
+    const parsed = JSON.parse(JSON.stringify(apiIndex));
+
+    expect(parsed.locales.en.terms.constructor).toEqual([0, 1]);
+    expect(search(parsed, "constructor class")).toEqual([
+      expect.objectContaining({ route: "/api", section: "1" }),
+    ]);
+    expect(search(index, "constructor welcome")).toEqual([
+      expect.objectContaining({ title: "Welcome" }),
+    ]);
+  });
+});